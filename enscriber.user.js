@@ -12,6 +12,7 @@
 // @grant        GM_deleteValue
 // @grant        GM_listValues
 // @grant        GM_addStyle
+// @grant        unsafeWindow
 // @run-at       document-idle
 // @updateURL    https://raw.githubusercontent.com/enscriber/enscriber/main/enscriber.user.js
 // @downloadURL  https://raw.githubusercontent.com/enscriber/enscriber/main/enscriber.user.js
@@ -41,13 +42,27 @@
         storage: {
             prefix: 'enscriber_',
             sessionKey: 'current_session',
-            settingsKey: 'settings'
+            settingsKey: 'settings',
+            pendingNavigationKey: 'pending_navigation',
+            pendingPopupKey: 'pending_popup',
+            activeRecordingKey: 'active_recording',
+            frameNonceKey: 'frame_nonce',
+            sitePreferencesKey: 'site_preferences'
         },
         modes: {
             INACTIVE: 'inactive',
             AUTO_RECORDING: 'auto_recording',
             MANUAL_SELECTION: 'manual_selection',
             PAUSED: 'paused'
+        },
+        export: {
+            fixturesDir: 'fixtures'
+        },
+        selectors: {
+            // Test-id attributes, most specific first
+            testIdAttributes: ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'],
+            // Strategies export prefers, from first to last
+            strategyOrder: ['testid', 'role', 'label', 'text', 'css', 'xpath']
         }
     };
 
@@ -65,6 +80,30 @@
      * @property {string} [notes] - User-added notes
      * @property {string} [screenshot] - Base64 encoded screenshot
      * @property {ContextInfo} context - Context information
+     * @property {FrameDescriptor[]} [framePath] - Frames containing the element, outermost first
+     * @property {string[]} [modifiers] - Modifier keys held during a click (Alt, Control, Meta, Shift)
+     * @property {ClickOffset} [offset] - Click point inside a position-sensitive element
+     * @property {string} [inputMethod] - 'pressSequentially' when typing must be replayed key by key,
+     *     'clipboard' when a paste only works through the real clipboard
+     * @property {Array<{value: string, label: string}>} [options] - Options chosen in a select
+     * @property {boolean} [redacted] - Whether text typed, pasted or copied in a sensitive field was replaced by a placeholder
+     * @property {string} [fieldValue] - Text of the field after a paste into text it already held
+     */
+
+    /**
+     * @typedef {Object} ClickOffset
+     * @property {number} x - Pixels from the element's left edge
+     * @property {number} y - Pixels from the element's top edge
+     * @property {number} xPercent - Horizontal offset as a percentage of the element's width
+     * @property {number} yPercent - Vertical offset as a percentage of the element's height
+     */
+
+    /**
+     * @typedef {Object} FrameDescriptor
+     * @property {string} selector - Selector locating the frame element in its parent document
+     * @property {string} name - Frame name attribute
+     * @property {string} id - Frame element ID
+     * @property {string} src - Frame src attribute
      */
 
     /**
@@ -76,6 +115,8 @@
      * @property {string} tagName - HTML tag name
      * @property {boolean} isVisible - Whether element is visible
      * @property {Object} computedStyles - Relevant computed styles
+     * @property {Array<Object>} shadowHosts - Shadow hosts containing the element, outermost first
+     * @property {string|null} xpath - XPath, or null inside shadow DOM
      */
 
     /**
@@ -86,6 +127,45 @@
      * @property {string[]} textBased - Text-based selectors
      * @property {string[]} role - ARIA role selectors
      * @property {SelectorConfidence} confidence - Confidence scores
+     * @property {SelectorCandidate[]} ranked - Every candidate, most reliable first
+     * @property {string} [pinned] - Selector of the candidate picked in the panel, which export uses over its own choice
+     */
+
+    /**
+     * @typedef {Object} SelectorConfidence
+     * @property {number} dataAttribute - Best data attribute selector score (0.9-1.0)
+     * @property {number} semantic - Best ARIA role or label selector score (0.7-0.9)
+     * @property {number} css - Best CSS selector score (0.5-0.8)
+     * @property {number} xpath - Best XPath selector score (0.3-0.7)
+     * @property {number} textBased - Best text selector score (0.2-0.6)
+     */
+
+    /**
+     * @typedef {Object} SelectorCandidate
+     * @property {string} strategy - dataAttribute, semantic, css, xpath or textBased
+     * @property {string} selector - Playwright selector
+     * @property {number} confidence - Score within the strategy's range
+     * @property {number} [score] - Ranking score of a refined candidate, which may fall below its strategy's range
+     * @property {UserFacingLocator} [locator] - Equivalent user-facing locator, for candidates that have one
+     * @property {number} [matchCount] - Elements the selector matched when recorded, 0 if none of them was the element
+     * @property {boolean} [positional] - Whether the selector depends on the page structure or the element's position
+     * @property {string} [refinement] - How a non-unique selector was narrowed down: filter, scope or nth
+     * @property {string} [refines] - Selector of the non-unique candidate this one narrows down
+     * @property {{hasText: string}} [filter] - Text filter applied to the refined selector's matches
+     * @property {number} [nth] - Zero-based index among the refined selector's matches
+     * @property {{selector: string, locator: UserFacingLocator}} [scope] - Stable ancestor the selector is chained from
+     */
+
+    /**
+     * @typedef {Object} UserFacingLocator
+     * @property {string} method - getByRole, getByLabel, getByPlaceholder, getByText or getByTestId
+     * @property {string} [role] - Role for getByRole
+     * @property {string} [name] - Accessible name for getByRole
+     * @property {string} [text] - Text, label, placeholder or test id to match
+     * @property {string} [attribute] - Test-id attribute for getByTestId
+     * @property {boolean} [exact] - Whether the name or text must match exactly
+     * @property {string} [hasText] - Text the matches are filtered by
+     * @property {number} [nth] - Zero-based index among the matches
      */
 
     /**
@@ -158,6 +238,77 @@
             }
         }
 
+        /**
+         * Get the element an event originated from, including elements inside open shadow roots
+         * @param {Event} event - Event
+         * @returns {EventTarget} Innermost target; shadow hosts for closed shadow roots
+         */
+        static getComposedTarget(event) {
+            const path = event.composedPath ? event.composedPath() : [];
+            return path.length > 0 && path[0].nodeType === Node.ELEMENT_NODE ? path[0] : event.target;
+        }
+
+        /**
+         * Get an element's class attribute; SVG elements expose className as an SVGAnimatedString
+         * @param {Element} element - Element
+         * @returns {string} Class names separated by spaces
+         */
+        static getClassName(element) {
+            return typeof element.className === 'string' ? element.className : (element.getAttribute('class') || '');
+        }
+
+        /**
+         * Get the innermost element at a point, descending into open shadow roots
+         * @param {Document} doc - Document the coordinates are relative to
+         * @param {number} x - Client X coordinate
+         * @param {number} y - Client Y coordinate
+         * @returns {Element|null} Element at the point
+         */
+        static deepElementFromPoint(doc, x, y) {
+            let element = doc.elementFromPoint ? doc.elementFromPoint(x, y) : null;
+            
+            while (element && element.shadowRoot && element.shadowRoot.elementFromPoint) {
+                const inner = element.shadowRoot.elementFromPoint(x, y);
+                if (!inner || inner === element) break;
+                element = inner;
+            }
+            return element;
+        }
+
+        /**
+         * Get the page's own window. With GM grants the script runs in a sandbox whose
+         * window globals are not the ones page scripts call.
+         * @returns {Window} Page window, or the script's window without a sandbox
+         */
+        static getPageWindow() {
+            return typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+        }
+
+        /**
+         * Make a function callable from page scripts, which Firefox sandboxes require
+         * @param {Function} func - Function to expose
+         * @param {Window} pageWindow - Page window the function is installed on
+         * @returns {Function} Function page scripts may call
+         */
+        static exposeToPage(func, pageWindow) {
+            return typeof exportFunction === 'function' ? exportFunction(func, pageWindow) : func;
+        }
+
+        /**
+         * Capture context information for an action record
+         * @returns {ContextInfo} Current page context
+         */
+        static getContextInfo() {
+            return {
+                url: window.location.href,
+                title: document.title,
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight
+                }
+            };
+        }
+
         /**
          * Check if element is visible
          * @param {Element} element - Target element
@@ -202,6 +353,21 @@
             };
         }
 
+        /**
+         * Escape a value for use inside a single-quoted JavaScript string
+         * @param {*} value - Value to escape
+         * @returns {string} Escaped string
+         */
+        static escapeString(value) {
+            return String(value == null ? '' : value)
+                .replace(/\\/g, '\\\\')
+                .replace(/'/g, "\\'")
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r')
+                // Other control characters, and line separators that would also end a line comment
+                .replace(/[\u0000-\u001f\u007f\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+        }
+
         /**
          * Debounce function execution
          * @param {Function} func - Function to debounce
@@ -247,11 +413,29 @@
                     autoSave: true,
                     highlightElements: true,
                     showTooltips: true,
-                    recordingMode: 'auto'
+                    recordingMode: 'auto',
+                    // Minimum hover in milliseconds before a hover that reveals content is recorded
+                    hoverDwellTime: 500,
+                    // How pastes are exported: 'fill' with the text, or 'clipboard' with a Control+V press
+                    clipboardExportStyle: 'fill',
+                    // How click positions are exported: 'pixels', or 'percent' of the element's size
+                    clickPositionUnit: 'pixels',
+                    // Regular expressions for IDs and class names that are always stable or always unstable
+                    stableTokenPatterns: [],
+                    unstableTokenPatterns: []
+                },
+                // Selector preferences of the current site, saved per origin
+                sitePreferences: {
+                    testIdAttributes: [...ENSCRIBER_CONFIG.selectors.testIdAttributes],
+                    strategyOrder: [...ENSCRIBER_CONFIG.selectors.strategyOrder],
+                    // Attribute the exported playwright.config sets as testIdAttribute
+                    testIdAttribute: 'data-testid'
                 }
             };
             
             this.listeners = new Map();
+            // Page variable that actions recorded in this tab are exported against
+            this.pageAlias = 'page';
             this.loadState();
         }
 
@@ -343,6 +527,64 @@
             });
         }
 
+        /**
+         * Append an action record to the current session
+         * @param {ActionRecord} actionRecord - Action to append
+         * @param {Object} [extraUpdates] - Additional state updates to apply together
+         */
+        appendAction(actionRecord, extraUpdates = {}) {
+            const currentSession = this.state.currentSession || { actions: [] };
+            
+            this.setState({
+                ...extraUpdates,
+                currentSession: {
+                    ...currentSession,
+                    actions: [...currentSession.actions, { page: this.pageAlias, ...actionRecord }]
+                }
+            });
+        }
+
+        /**
+         * Update an action record in the current session
+         * @param {string} actionId - ID of the action to update
+         * @param {Object} updates - Properties to merge into the action
+         * @returns {boolean} Whether the action was found and updated
+         */
+        updateAction(actionId, updates) {
+            const currentSession = this.state.currentSession;
+            if (!currentSession || !currentSession.actions) return false;
+            
+            const index = currentSession.actions.findIndex(action => action.id === actionId);
+            if (index === -1) return false;
+            
+            const updatedActions = [...currentSession.actions];
+            updatedActions[index] = { ...updatedActions[index], ...updates };
+            
+            this.setState({
+                currentSession: {
+                    ...currentSession,
+                    actions: updatedActions
+                }
+            });
+            return true;
+        }
+
+        /**
+         * Remove action records from the current session
+         * @param {string[]} actionIds - IDs of the actions to remove
+         */
+        removeActions(actionIds) {
+            const currentSession = this.state.currentSession;
+            if (!currentSession || !currentSession.actions || actionIds.length === 0) return;
+            
+            this.setState({
+                currentSession: {
+                    ...currentSession,
+                    actions: currentSession.actions.filter(action => !actionIds.includes(action.id))
+                }
+            });
+        }
+
         /**
          * Save state to storage
          */
@@ -358,6 +600,90 @@
             }
         }
 
+        /**
+         * Mark a recording as active so the next page load can reattach to it
+         * @param {string} mode - Recording mode to continue in
+         */
+        saveActiveRecording(mode) {
+            const session = this.state.currentSession;
+            if (!session) return;
+            
+            try {
+                const activeRecording = {
+                    sessionId: session.id,
+                    mode: mode,
+                    origin: window.location.origin,
+                    updatedAt: Date.now()
+                };
+                GM_setValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.activeRecordingKey), JSON.stringify(activeRecording));
+                this.saveActiveSession();
+            } catch (error) {
+                console.error('Enscriber: Failed to save active recording:', error);
+            }
+        }
+
+        /**
+         * Save the in-progress session so it survives page loads
+         */
+        saveActiveSession() {
+            const session = this.state.currentSession;
+            if (!session) return;
+            
+            try {
+                GM_setValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.sessionKey), JSON.stringify(session));
+            } catch (error) {
+                console.error('Enscriber: Failed to save active session:', error);
+            }
+        }
+
+        /**
+         * Load the active recording marker and its session
+         * @param {boolean} [anyOrigin] - Accept recordings saved from another origin, as popups may be
+         * @returns {{mode: string, session: SessionData}|null} Active recording for this origin
+         */
+        loadActiveRecording(anyOrigin = false) {
+            try {
+                const savedMarker = GM_getValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.activeRecordingKey));
+                const savedSession = GM_getValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.sessionKey));
+                if (!savedMarker || !savedSession) return null;
+                
+                const activeRecording = JSON.parse(savedMarker);
+                const session = JSON.parse(savedSession);
+                
+                // Recordings only span page loads on the origin they started on
+                if ((!anyOrigin && activeRecording.origin !== window.location.origin) ||
+                    session.id !== activeRecording.sessionId) {
+                    return null;
+                }
+                
+                return { mode: activeRecording.mode, session: session };
+            } catch (error) {
+                console.error('Enscriber: Failed to load active recording:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Remove the active recording marker and in-progress session
+         */
+        clearActiveRecording() {
+            try {
+                GM_deleteValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.activeRecordingKey));
+                GM_deleteValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.sessionKey));
+            } catch (error) {
+                console.error('Enscriber: Failed to clear active recording:', error);
+            }
+        }
+
+        /**
+         * Get a prefixed storage key
+         * @param {string} key - Key name
+         * @returns {string} Storage key
+         */
+        getStorageKey(key) {
+            return `${ENSCRIBER_CONFIG.storage.prefix}${key}`;
+        }
+
         /**
          * Load state from storage
          */
@@ -366,11 +692,51 @@
                 const savedState = GM_getValue(ENSCRIBER_CONFIG.storage.settingsKey);
                 if (savedState) {
                     const parsed = JSON.parse(savedState);
-                    this.state = { ...this.state, ...parsed };
+                    // Settings added since the state was saved keep their defaults
+                    this.state = {
+                        ...this.state,
+                        ...parsed,
+                        settings: { ...this.state.settings, ...parsed.settings }
+                    };
                 }
             } catch (error) {
                 console.error('Enscriber: Failed to load state:', error);
             }
+            
+            this.loadSitePreferences();
+        }
+
+        /**
+         * Load the selector preferences saved for this origin
+         */
+        loadSitePreferences() {
+            try {
+                const saved = GM_getValue(this.getStorageKey(ENSCRIBER_CONFIG.storage.sitePreferencesKey));
+                const preferences = saved ? JSON.parse(saved)[window.location.origin] : null;
+                if (preferences) {
+                    this.state.sitePreferences = { ...this.state.sitePreferences, ...preferences };
+                }
+            } catch (error) {
+                console.error('Enscriber: Failed to load site preferences:', error);
+            }
+        }
+
+        /**
+         * Update the selector preferences of this origin and save them
+         * @param {Object} preferences - Test-id attributes, strategy order and config test-id attribute
+         */
+        saveSitePreferences(preferences) {
+            this.setState({ sitePreferences: preferences });
+            
+            try {
+                const key = this.getStorageKey(ENSCRIBER_CONFIG.storage.sitePreferencesKey);
+                const saved = GM_getValue(key);
+                const allPreferences = saved ? JSON.parse(saved) : {};
+                allPreferences[window.location.origin] = preferences;
+                GM_setValue(key, JSON.stringify(allPreferences));
+            } catch (error) {
+                console.error('Enscriber: Failed to save site preferences:', error);
+            }
         }
     }
 
@@ -385,6 +751,9 @@
         constructor() {
             this.highlightOverlay = null;
             this.currentElement = null;
+            // Overlays of every element a selector matches, beside the single highlight
+            this.matchOverlays = [];
+            this.matchedElements = [];
             this.highlightStyles = {
                 hover: {
                     backgroundColor: 'rgba(59, 130, 246, 0.1)',
@@ -436,7 +805,7 @@
                 return;
             }
 
-            const bounds = EnscribeUtils.getElementBounds(element);
+            const bounds = this.getViewportBounds(element);
             const styleConfig = this.highlightStyles[style] || this.highlightStyles.hover;
             
             // Update overlay position and style
@@ -459,6 +828,29 @@
             this.currentElement = element;
         }
 
+        /**
+         * Get element bounds relative to the top window's viewport
+         * @param {Element} element - Element, possibly inside a same-origin frame
+         * @returns {DOMRect|Object} Element bounds
+         */
+        getViewportBounds(element) {
+            const bounds = EnscribeUtils.getElementBounds(element);
+            let left = bounds.left;
+            let top = bounds.top;
+            
+            // Add the offset of every frame between the element and this window
+            let frameWindow = element.ownerDocument.defaultView;
+            while (frameWindow && frameWindow !== window && frameWindow.frameElement) {
+                const frameElement = frameWindow.frameElement;
+                const frameBounds = frameElement.getBoundingClientRect();
+                left += frameBounds.left + frameElement.clientLeft;
+                top += frameBounds.top + frameElement.clientTop;
+                frameWindow = frameWindow.parent;
+            }
+            
+            return { left, top, width: bounds.width, height: bounds.height };
+        }
+
         /**
          * Hide the highlight overlay
          */
@@ -469,17 +861,88 @@
             this.currentElement = null;
         }
 
+        /**
+         * Highlight every element a selector matches
+         * @param {Element[]} elements - Matched elements
+         * @param {string} style - Style type ('hover', 'selected', 'recording')
+         * @param {boolean} [numbered] - Whether to label each overlay with the match's position
+         */
+        highlightMatches(elements, style = 'hover', numbered = false) {
+            this.hideMatches();
+            
+            const styleConfig = this.highlightStyles[style] || this.highlightStyles.hover;
+            elements.forEach((element, index) => {
+                // Hidden matches get no overlay but keep their number
+                if (!EnscribeUtils.isElementVisible(element)) return;
+                
+                const overlay = document.createElement('div');
+                overlay.className = 'enscriber-match-overlay';
+                overlay.style.cssText = `
+                    position: absolute;
+                    pointer-events: none;
+                    z-index: ${ENSCRIBER_CONFIG.ui.zIndex - 1};
+                    border-radius: 4px;
+                    background-color: ${styleConfig.backgroundColor};
+                    border: ${styleConfig.border};
+                    box-shadow: ${styleConfig.boxShadow};
+                `;
+                this.positionOverlay(overlay, element);
+                
+                if (numbered) {
+                    const label = document.createElement('span');
+                    label.className = 'enscriber-match-label';
+                    label.textContent = String(index + 1);
+                    label.style.cssText = `
+                        position: absolute;
+                        top: -10px;
+                        left: -2px;
+                        padding: 0 4px;
+                        border-radius: 3px;
+                        background: ${styleConfig.border.split(' ').pop()};
+                        color: white;
+                        font: bold 10px/16px sans-serif;
+                    `;
+                    overlay.appendChild(label);
+                }
+                
+                document.body.appendChild(overlay);
+                this.matchOverlays.push(overlay);
+                this.matchedElements.push(element);
+            });
+        }
+
+        /**
+         * Remove the overlays of matched elements
+         */
+        hideMatches() {
+            this.matchOverlays.forEach(overlay => overlay.remove());
+            this.matchOverlays = [];
+            this.matchedElements = [];
+        }
+
+        /**
+         * Place an overlay over an element
+         * @param {HTMLElement} overlay - Overlay element
+         * @param {Element} element - Element to cover
+         */
+        positionOverlay(overlay, element) {
+            const bounds = this.getViewportBounds(element);
+            overlay.style.left = `${bounds.left + window.scrollX}px`;
+            overlay.style.top = `${bounds.top + window.scrollY}px`;
+            overlay.style.width = `${bounds.width}px`;
+            overlay.style.height = `${bounds.height}px`;
+        }
+
         /**
          * Update highlight position (useful for dynamic content)
          */
         updateHighlightPosition() {
             if (this.currentElement && this.highlightOverlay.style.display !== 'none') {
-                const bounds = EnscribeUtils.getElementBounds(this.currentElement);
-                this.highlightOverlay.style.left = `${bounds.left + window.scrollX}px`;
-                this.highlightOverlay.style.top = `${bounds.top + window.scrollY}px`;
-                this.highlightOverlay.style.width = `${bounds.width}px`;
-                this.highlightOverlay.style.height = `${bounds.height}px`;
+                this.positionOverlay(this.highlightOverlay, this.currentElement);
             }
+            this.matchOverlays.forEach((overlay, index) => {
+                this.positionOverlay(overlay, this.matchedElements[index]);
+            });
         }
 
         /**
@@ -517,6 +980,7 @@
                 this.highlightOverlay = null;
             }
             this.currentElement = null;
+            this.hideMatches();
         }
     }
 
@@ -539,12 +1003,29 @@
                 '[id^="enscriber-"]',
                 '[class*="enscriber-"]'
             ];
+            // Documents to select in; same-origin frame documents are added while recording
+            this.documents = new Set([document]);
+            this.selectorGenerator = new SelectorGenerator(stateManager);
             
             // Throttled mouse move handler
             this.handleMouseMove = EnscribeUtils.throttle(this.onMouseMove.bind(this), 16);
             
+            // Clicks recorded on the same element, which a double-click replaces
+            this.recentClicks = null;
+            
+            // Field names and labels whose contents are never written to a recording
+            this.sensitiveFieldPattern = /passw|passcode|secret|token|\botp\b|cvv|cvc|ssn|card.?num|iban/i;
+            this.sensitiveAutocomplete = ['current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc', 'cc-exp'];
+            this.redactedText = '<redacted>';
+            
+            // Editor frameworks that handle their own keystrokes and ignore a plain fill
+            this.richTextEditorSelector = '.ProseMirror, .ql-editor, [data-slate-editor], [data-lexical-editor], ' +
+                '.public-DraftEditor-content, .cke_editable, .mce-content-body';
+            
             // Bind event handlers
             this.handleClick = this.handleClick.bind(this);
+            this.handleDoubleClick = this.handleDoubleClick.bind(this);
+            this.handleContextMenu = this.handleContextMenu.bind(this);
             this.handleKeyDown = this.handleKeyDown.bind(this);
         }
 
@@ -555,12 +1036,7 @@
             if (this.isSelectionMode) return;
             
             this.isSelectionMode = true;
-            document.body.style.cursor = 'crosshair';
-            
-            // Add event listeners
-            document.addEventListener('mousemove', this.handleMouseMove, true);
-            document.addEventListener('click', this.handleClick, true);
-            document.addEventListener('keydown', this.handleKeyDown, true);
+            this.documents.forEach(doc => this.attachListeners(doc));
             
             // Update state
             this.stateManager.setState({
@@ -577,12 +1053,7 @@
             if (!this.isSelectionMode) return;
             
             this.isSelectionMode = false;
-            document.body.style.cursor = '';
-            
-            // Remove event listeners
-            document.removeEventListener('mousemove', this.handleMouseMove, true);
-            document.removeEventListener('click', this.handleClick, true);
-            document.removeEventListener('keydown', this.handleKeyDown, true);
+            this.documents.forEach(doc => this.detachListeners(doc));
             
             // Hide highlight
             this.highlighter.hideHighlight();
@@ -590,6 +1061,61 @@
             console.log('Enscriber: Element selection mode disabled');
         }
 
+        /**
+         * Allow selecting elements in another document, such as a same-origin frame
+         * @param {Document} doc - Document to select in
+         */
+        addDocument(doc) {
+            if (this.documents.has(doc)) return;
+            
+            this.documents.add(doc);
+            if (this.isSelectionMode) {
+                this.attachListeners(doc);
+            }
+        }
+
+        /**
+         * Stop selecting elements in a document
+         * @param {Document} doc - Document to forget
+         */
+        removeDocument(doc) {
+            if (!this.documents.delete(doc)) return;
+            
+            if (this.isSelectionMode) {
+                this.detachListeners(doc);
+            }
+        }
+
+        /**
+         * Add selection listeners to a document
+         * @param {Document} doc - Document to listen to
+         */
+        attachListeners(doc) {
+            if (doc.body) {
+                doc.body.style.cursor = 'crosshair';
+            }
+            doc.addEventListener('mousemove', this.handleMouseMove, true);
+            doc.addEventListener('click', this.handleClick, true);
+            doc.addEventListener('dblclick', this.handleDoubleClick, true);
+            doc.addEventListener('contextmenu', this.handleContextMenu, true);
+            doc.addEventListener('keydown', this.handleKeyDown, true);
+        }
+
+        /**
+         * Remove selection listeners from a document
+         * @param {Document} doc - Document to stop listening to
+         */
+        detachListeners(doc) {
+            if (doc.body) {
+                doc.body.style.cursor = '';
+            }
+            doc.removeEventListener('mousemove', this.handleMouseMove, true);
+            doc.removeEventListener('click', this.handleClick, true);
+            doc.removeEventListener('dblclick', this.handleDoubleClick, true);
+            doc.removeEventListener('contextmenu', this.handleContextMenu, true);
+            doc.removeEventListener('keydown', this.handleKeyDown, true);
+        }
+
         /**
          * Toggle selection mode
          */
@@ -628,87 +1154,180 @@
             
             const element = this.getElementUnderCursor(event);
             if (element && !this.isExcludedElement(element)) {
-                this.selectElement(element);
+                const actionRecord = this.selectElement(element, 'click', this.getClickDetails(event, element));
+                if (actionRecord.type === 'click') {
+                    this.rememberClick(element, actionRecord.id);
+                }
             }
         }
 
         /**
-         * Handle keyboard events
-         * @param {KeyboardEvent} event - Keyboard event
+         * Handle double-click events
+         * @param {MouseEvent} event - Double-click event
          */
-        handleKeyDown(event) {
+        handleDoubleClick(event) {
             if (!this.isSelectionMode) return;
             
-            // Escape key to cancel selection
-            if (event.key === 'Escape') {
-                event.preventDefault();
-                this.disableSelectionMode();
+            event.preventDefault();
+            event.stopPropagation();
+            
+            const element = this.getElementUnderCursor(event);
+            if (element && !this.isExcludedElement(element) && this.detectActionType(element) === 'click') {
+                this.removeClicksOf(element);
+                this.selectElement(element, 'dblclick', this.getClickDetails(event, element));
             }
         }
 
         /**
-         * Select an element
-         * @param {Element} element - Element to select
-         * @param {string} actionType - Type of action to record
+         * Handle context menu events from right clicks
+         * @param {MouseEvent} event - Context menu event
          */
-        selectElement(element, actionType = 'click') {
-            this.selectedElement = element;
+        handleContextMenu(event) {
+            if (!this.isSelectionMode) return;
             
-            // Capture element metadata
-            const metadata = this.captureElementMetadata(element);
+            event.preventDefault();
+            event.stopPropagation();
             
-            // Determine action type based on element
-            let detectedActionType = actionType;
-            if (actionType === 'click') {
-                const tagName = element.tagName.toLowerCase();
-                const inputType = element.type ? element.type.toLowerCase() : '';
-                
-                if (tagName === 'input') {
-                    if (['text', 'email', 'password', 'search', 'tel', 'url'].includes(inputType)) {
-                        detectedActionType = 'input';
-                    } else if (['checkbox', 'radio'].includes(inputType)) {
-                        detectedActionType = 'check';
-                    }
-                } else if (tagName === 'textarea') {
-                    detectedActionType = 'input';
-                } else if (tagName === 'select') {
-                    detectedActionType = 'select';
-                }
+            const element = this.getElementUnderCursor(event);
+            if (element && !this.isExcludedElement(element)) {
+                this.selectElement(element, 'rightclick', this.getClickDetails(event, element));
+            }
+        }
+
+        /**
+         * Get the modifier keys held during a click and, for position-sensitive
+         * elements, where inside the element it landed
+         * @param {MouseEvent} event - Mouse event
+         * @param {Element} element - Element the click is recorded on
+         * @returns {Object} Action details; modifiers and offset only when relevant
+         */
+        getClickDetails(event, element) {
+            const details = {};
+            
+            const modifiers = [];
+            if (event.altKey) modifiers.push('Alt');
+            if (event.ctrlKey) modifiers.push('Control');
+            if (event.metaKey) modifiers.push('Meta');
+            if (event.shiftKey) modifiers.push('Shift');
+            if (modifiers.length > 0) {
+                details.modifiers = modifiers;
             }
             
-            // Create action record
-            const actionRecord = {
-                id: this.generateActionId(),
-                timestamp: Date.now(),
-                type: detectedActionType,
-                element: metadata,
-                value: this.getElementValue(element, detectedActionType),
-                notes: '',
-                context: {
-                    url: window.location.href,
-                    title: document.title,
-                    viewport: {
-                        width: window.innerWidth,
-                        height: window.innerHeight
-                    }
-                }
-            };
-            
-            // Add to recorded actions
-            const currentState = this.stateManager.getState();
-            const currentSession = currentState.currentSession || { actions: [] };
-            const updatedActions = [...currentSession.actions, actionRecord];
+            if (this.isPositionSensitive(element)) {
+                details.offset = this.getClickOffset(event, element);
+            }
             
-            // Update state with new action and selected element
-            this.stateManager.setState({
-                selectedElement: {
+            return details;
+        }
+
+        /**
+         * Check whether a click on an element depends on where inside it the pointer was.
+         * Canvases, charts and map tiles draw their targets instead of exposing them
+         * as child elements, so clicking the element's center replays a different click.
+         * @param {Element} element - Clicked element
+         * @returns {boolean} Whether the click position must be recorded
+         */
+        isPositionSensitive(element) {
+            const tagName = element.tagName.toLowerCase();
+            if (tagName === 'canvas' || tagName === 'svg') return true;
+            
+            // Controls and links behave the same wherever they are clicked
+            if (this.detectActionType(element) !== 'click' || element.closest('a, button, label, summary')) return false;
+            
+            return element.children.length === 0 && !element.textContent.trim();
+        }
+
+        /**
+         * Get the click point relative to an element's bounding box
+         * @param {MouseEvent} event - Mouse event
+         * @param {Element} element - Clicked element
+         * @returns {ClickOffset} Offset in pixels and as a percentage of the element's size
+         */
+        getClickOffset(event, element) {
+            const rect = element.getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+            
+            return {
+                x: Math.round(x),
+                y: Math.round(y),
+                xPercent: rect.width > 0 ? Math.round(x / rect.width * 1000) / 10 : 0,
+                yPercent: rect.height > 0 ? Math.round(y / rect.height * 1000) / 10 : 0
+            };
+        }
+
+        /**
+         * Remember a recorded click so a following double-click can replace it
+         * @param {Element} element - Clicked element
+         * @param {string} actionId - ID of the recorded click
+         */
+        rememberClick(element, actionId) {
+            if (!this.recentClicks || this.recentClicks.element !== element) {
+                this.recentClicks = { element: element, actionIds: [] };
+            }
+            this.recentClicks.actionIds.push(actionId);
+        }
+
+        /**
+         * Remove the clicks a double-click on an element is made of
+         * @param {Element} element - Double-clicked element
+         */
+        removeClicksOf(element) {
+            if (!this.recentClicks || this.recentClicks.element !== element) return;
+            
+            this.stateManager.removeActions(this.recentClicks.actionIds.slice(-2));
+            this.recentClicks = null;
+        }
+
+        /**
+         * Handle keyboard events
+         * @param {KeyboardEvent} event - Keyboard event
+         */
+        handleKeyDown(event) {
+            if (!this.isSelectionMode) return;
+            
+            // Escape key to cancel selection
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.disableSelectionMode();
+            }
+        }
+
+        /**
+         * Select an element
+         * @param {Element} element - Element to select
+         * @param {string} actionType - Type of action to record
+         * @param {Object} [details] - Additional action properties, such as click modifiers
+         * @returns {ActionRecord} The recorded action
+         */
+        selectElement(element, actionType = 'click', details = {}) {
+            this.selectedElement = element;
+            
+            // Determine action type based on element
+            const detectedActionType = actionType === 'click' ? this.detectActionType(element) : actionType;
+            
+            // Typing into rich text is recorded against the editable root, not the clicked paragraph
+            if (detectedActionType === 'input') {
+                element = this.getEditableRoot(element) || element;
+            }
+            
+            // Create action record
+            const actionRecord = {
+                ...this.createActionRecord(
+                    element,
+                    detectedActionType,
+                    this.getElementValue(element, detectedActionType)
+                ),
+                ...details
+            };
+            
+            // Add to recorded actions and update selected element
+            this.stateManager.appendAction(actionRecord, {
+                selectedElement: {
                     element: element,
-                    metadata: metadata,
+                    metadata: actionRecord.element,
+                    actionId: actionRecord.id,
                     timestamp: Date.now()
-                },
-                currentSession: {
-                    ...currentSession,
-                    actions: updatedActions
                 }
             });
             
@@ -719,6 +1338,161 @@
             
             // Continue recording - don't disable selection mode
             // User can press Escape or click Stop Recording to end the session
+            return actionRecord;
+        }
+
+        /**
+         * Detect the action type implied by an element
+         * @param {Element} element - Target element
+         * @returns {string} Action type (click, input, check, select or upload)
+         */
+        detectActionType(element) {
+            const tagName = element.tagName.toLowerCase();
+            const inputType = element.type ? element.type.toLowerCase() : '';
+            
+            if (tagName === 'input') {
+                if (['text', 'email', 'password', 'search', 'tel', 'url'].includes(inputType) ||
+                    this.isValueInputType(inputType)) {
+                    return 'input';
+                } else if (['checkbox', 'radio'].includes(inputType)) {
+                    return 'check';
+                } else if (inputType === 'file') {
+                    return 'upload';
+                }
+            } else if (tagName === 'textarea') {
+                return 'input';
+            } else if (tagName === 'select') {
+                return 'select';
+            } else if (this.getEditableRoot(element)) {
+                return 'input';
+            }
+            
+            return 'click';
+        }
+
+        /**
+         * Check whether a field holds secrets whose text must be redacted from recordings
+         * @param {Element} element - Field or editable element
+         * @returns {boolean} Whether the field is sensitive
+         */
+        isSensitiveField(element) {
+            if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+            if ((element.type || '').toLowerCase() === 'password') return true;
+            
+            const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+            if (autocomplete.some(token => this.sensitiveAutocomplete.includes(token))) return true;
+            
+            const names = [element.getAttribute('name'), element.id, element.getAttribute('aria-label')];
+            return names.some(name => name && this.sensitiveFieldPattern.test(name));
+        }
+
+        /**
+         * Check whether an input type holds a formatted value that page.fill sets directly.
+         * Playwright fills date, time, color and range inputs with their value string
+         * rather than typing it, which avoids the browser's pickers and slider handles.
+         * @param {string} inputType - Lowercase input type
+         * @returns {boolean} Whether the input is recorded by its value
+         */
+        isValueInputType(inputType) {
+            return ['number', 'range', 'color', 'date', 'time', 'datetime-local', 'month', 'week'].includes(inputType);
+        }
+
+        /**
+         * Find the contenteditable host an element is edited through
+         * @param {Element} element - Element inside a possibly editable region
+         * @returns {Element|null} Outermost editable ancestor, or null if the element is not editable
+         */
+        getEditableRoot(element) {
+            let root = null;
+            
+            for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+                const editable = node.getAttribute('contenteditable');
+                if (editable === 'false') {
+                    // Widgets embedded in an editor opt out of editing
+                    break;
+                }
+                if (editable !== null) {
+                    root = node;
+                }
+            }
+            
+            return root;
+        }
+
+        /**
+         * Check whether an editable root belongs to a rich text editor framework
+         * @param {Element} element - Editable root
+         * @returns {boolean} Whether typing must be replayed key by key
+         */
+        isRichTextEditor(element) {
+            return element.matches(this.richTextEditorSelector);
+        }
+
+        /**
+         * Create an action record for an element
+         * @param {Element} element - Target element
+         * @param {string} actionType - Type of action
+         * @param {string} [value] - Value associated with the action
+         * @returns {ActionRecord} Action record
+         */
+        createActionRecord(element, actionType, value = '') {
+            const actionRecord = {
+                id: this.generateActionId(),
+                timestamp: Date.now(),
+                type: actionType,
+                element: this.captureElementMetadata(element),
+                value: value,
+                notes: '',
+                context: EnscribeUtils.getContextInfo()
+            };
+            
+            if (actionType === 'input' && this.getEditableRoot(element) && this.isRichTextEditor(element)) {
+                actionRecord.inputMethod = 'pressSequentially';
+            }
+            
+            if (actionType === 'input' && this.isSensitiveField(element)) {
+                actionRecord.redacted = true;
+            }
+            
+            if (actionType === 'select') {
+                actionRecord.options = this.getSelectedOptions(element);
+            }
+            
+            if (actionType === 'upload') {
+                actionRecord.files = this.getSelectedFiles(element);
+            }
+            
+            const framePath = FrameRecorder.getFramePath(element, this.selectorGenerator);
+            if (framePath.length > 0) {
+                actionRecord.framePath = framePath;
+            }
+            
+            return actionRecord;
+        }
+
+        /**
+         * Get the options selected in a select element
+         * @param {HTMLSelectElement} element - Single or multiple select
+         * @returns {Array<{value: string, label: string}>} Selected options in document order
+         */
+        getSelectedOptions(element) {
+            return Array.from(element.selectedOptions || []).map(option => ({
+                value: option.value,
+                label: option.label || option.text.trim()
+            }));
+        }
+
+        /**
+         * Describe the files chosen in a file input
+         * @param {HTMLInputElement} element - File input
+         * @returns {Array<{name: string, size: number, type: string}>} Chosen files
+         */
+        getSelectedFiles(element) {
+            return Array.from(element.files || []).map(file => ({
+                name: file.name,
+                size: file.size,
+                type: file.type
+            }));
         }
 
         /**
@@ -730,11 +1504,21 @@
         getElementValue(element, actionType) {
             switch (actionType) {
                 case 'input':
-                    return element.value || element.placeholder || '';
+                    if (this.isSensitiveField(element)) {
+                        return this.redactedText;
+                    }
+                    if (element.value === undefined && this.getEditableRoot(element)) {
+                        const text = typeof element.innerText === 'string' ? element.innerText : element.textContent;
+                        return text.trim();
+                    }
+                    // Never fall back to the placeholder, it is not a value the user entered
+                    return element.value || '';
                 case 'check':
                     return element.checked ? 'checked' : 'unchecked';
                 case 'select':
-                    return element.selectedOptions.length > 0 ? element.selectedOptions[0].text : '';
+                    return this.getSelectedOptions(element).map(option => option.label).join(', ');
+                case 'upload':
+                    return this.getSelectedFiles(element).map(file => file.name).join(', ');
                 default:
                     return element.textContent ? element.textContent.trim().substring(0, 50) : '';
             }
@@ -751,6 +1535,7 @@
             
             // Create floating confirmation message
             const confirmation = document.createElement('div');
+            confirmation.className = 'enscriber-toast';
             confirmation.style.cssText = `
                 position: fixed;
                 top: 20px;
@@ -812,7 +1597,9 @@
             const originalDisplay = overlay ? overlay.style.display : '';
             if (overlay) overlay.style.display = 'none';
             
-            const element = document.elementFromPoint(event.clientX, event.clientY);
+            // Coordinates of events inside frames are relative to the frame's document
+            const doc = event.target.ownerDocument || document;
+            const element = EnscribeUtils.deepElementFromPoint(doc, event.clientX, event.clientY);
             
             // Restore overlay
             if (overlay) overlay.style.display = originalDisplay;
@@ -885,7 +1672,7 @@
             return {
                 tagName: element.tagName.toLowerCase(),
                 id: element.id || null,
-                className: element.className || null,
+                className: EnscribeUtils.getClassName(element) || null,
                 textContent: element.textContent ? element.textContent.trim().substring(0, 100) : null,
                 attributes: this.getElementAttributes(element),
                 position: {
@@ -902,10 +1689,35 @@
                     zIndex: computedStyle.zIndex
                 },
                 parentContext: this.getParentContext(element),
-                xpath: this.generateXPath(element)
+                shadowHosts: this.getShadowHosts(element),
+                xpath: this.generateXPath(element),
+                selectors: this.selectorGenerator.generateSelectors(element)
             };
         }
 
+        /**
+         * Get the shadow hosts an element is nested in, outermost first
+         * @param {Element} element - Target element
+         * @returns {Array<{tagName: string, id: string|null, selector: string}>} Shadow host chain
+         */
+        getShadowHosts(element) {
+            const hosts = [];
+            let root = element.getRootNode ? element.getRootNode() : null;
+            
+            while (root && root.host) {
+                const host = root.host;
+                const tagName = host.tagName.toLowerCase();
+                const useId = host.id && this.selectorGenerator.isStableToken(host.id);
+                hosts.unshift({
+                    tagName: tagName,
+                    id: host.id || null,
+                    selector: useId ? `${tagName}#${CSS.escape(host.id)}` : tagName
+                });
+                root = host.getRootNode();
+            }
+            return hosts;
+        }
+
         /**
          * Get element attributes
          * @param {Element} element - Element to get attributes for
@@ -931,7 +1743,7 @@
             return {
                 tagName: parent.tagName.toLowerCase(),
                 id: parent.id || null,
-                className: parent.className || null,
+                className: EnscribeUtils.getClassName(parent) || null,
                 childIndex: Array.from(parent.children).indexOf(element)
             };
         }
@@ -944,32 +1756,14 @@
         generateXPath(element) {
             if (!element) return '';
             
-            if (element.id) {
-                return `//*[@id="${element.id}"]`;
-            }
-            
-            const parts = [];
-            let current = element;
+            // XPath cannot cross shadow boundaries, so shadow DOM elements get none
+            if (element.getRootNode && element.getRootNode().host) return null;
             
-            while (current && current.nodeType === Node.ELEMENT_NODE) {
-                let index = 1;
-                let sibling = current.previousElementSibling;
-                
-                while (sibling) {
-                    if (sibling.tagName === current.tagName) {
-                        index++;
-                    }
-                    sibling = sibling.previousElementSibling;
-                }
-                
-                const tagName = current.tagName.toLowerCase();
-                const part = index > 1 ? `${tagName}[${index}]` : tagName;
-                parts.unshift(part);
-                
-                current = current.parentElement;
+            if (element.id && this.selectorGenerator.isStableToken(element.id)) {
+                return `//*[@id="${element.id}"]`;
             }
             
-            return '/' + parts.join('/');
+            return this.selectorGenerator.getPositionalXPath(element);
         }
 
         /**
@@ -1002,110 +1796,1581 @@
     }
 
     // ============================================================================
-    // RECORDING ENGINE
+    // SELECTOR GENERATION
     // ============================================================================
 
     /**
-     * Manages recording modes and basic recording functionality
+     * Generates candidate selectors for an element with every strategy of the
+     * SelectorSet and ranks them by confidence
      */
-    class RecordingEngine {
-        constructor(stateManager, elementSelector, highlighter) {
+    class SelectorGenerator {
+        constructor(stateManager) {
             this.stateManager = stateManager;
-            this.elementSelector = elementSelector;
-            this.highlighter = highlighter;
-            this.networkMonitor = new NetworkRequestMonitor(stateManager);
-            this.recordingMode = ENSCRIBER_CONFIG.modes.INACTIVE;
-            this.isRecording = false;
-            this.recordedActions = [];
             
-            // Set up state listeners
-            this.setupStateListeners();
+            // Confidence range of each strategy; a candidate's weight places it within its range
+            this.confidenceRanges = {
+                dataAttribute: { min: 0.9, max: 1.0 },
+                semantic: { min: 0.7, max: 0.9 },
+                css: { min: 0.5, max: 0.8 },
+                xpath: { min: 0.3, max: 0.7 },
+                textBased: { min: 0.2, max: 0.6 }
+            };
+            
+            // Other data attributes whose names suggest they identify the element
+            this.identifyingDataAttributePattern = /^data-([\w-]*-)?(id|key|name|action|automation|e2e|component)$/;
+            
+            // Roles whose accessible name is computed from their content
+            this.nameFromContentRoles = [
+                'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link', 'menuitem',
+                'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row', 'rowheader', 'switch',
+                'tab', 'tooltip', 'treeitem'
+            ];
+            
+            // Roles HTML elements have without a role attribute; conditional ones are in getRole
+            this.implicitRoles = {
+                article: 'article', aside: 'complementary', button: 'button', datalist: 'listbox',
+                details: 'group', dialog: 'dialog', fieldset: 'group', figure: 'figure', hr: 'separator',
+                li: 'listitem', main: 'main', menu: 'list', meter: 'meter', nav: 'navigation', ol: 'list',
+                optgroup: 'group', option: 'option', output: 'status', progress: 'progressbar',
+                table: 'table', tbody: 'rowgroup', td: 'cell', textarea: 'textbox', tfoot: 'rowgroup',
+                thead: 'rowgroup', tr: 'row', ul: 'list'
+            };
+            
+            // Non-abstract WAI-ARIA roles; role attribute tokens outside this list are ignored
+            this.ariaRoles = [
+                'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+                'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+                'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+                'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+                'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'meter', 'menu', 'menubar', 'menuitem',
+                'menuitemcheckbox', 'menuitemradio', 'navigation', 'none', 'note', 'option', 'paragraph',
+                'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row', 'rowgroup', 'rowheader',
+                'scrollbar', 'search', 'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong',
+                'subscript', 'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+                'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem'
+            ];
+            
+            this.landmarkRoles = ['banner', 'complementary', 'contentinfo', 'dialog', 'form', 'main', 'navigation', 'region', 'search'];
+            
+            // Repeated containers that tell their copies apart by the text they hold
+            this.rowRoles = ['row', 'listitem', 'article', 'treeitem'];
+            // Containers of one role are only compared up to this many; larger tables get no row anchor
+            this.maxAnchorRows = 200;
+            
+            // Elements whose text runs on with their neighbors' in a computed name
+            this.inlineTags = [
+                'a', 'abbr', 'b', 'bdi', 'bdo', 'button', 'cite', 'code', 'data', 'dfn', 'em', 'i', 'img',
+                'input', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'select', 'small', 'span', 'strong',
+                'sub', 'sup', 'textarea', 'time', 'u', 'var'
+            ];
+            
+            // Text longer than this is matched by its beginning only
+            this.maxTextLength = 50;
+            
+            // Confidence lost by narrowing a non-unique selector down to the element
+            this.refinementPenalties = { filter: 0.05, scope: 0.05, nth: 0.15 };
+            
+            // Roles, names and texts computed while generating one element's selectors;
+            // every candidate is checked against every element, and the page cannot change in between
+            this.memo = null;
+            
+            // Playwright selector engines evaluateSelector understands, besides bare CSS and XPath
+            this.selectorEngines = [
+                'css', 'xpath', 'text', 'role', 'id', 'nth', 'data-testid', 'data-test-id', 'data-test',
+                'internal:text', 'internal:role', 'internal:label', 'internal:attr', 'internal:testid', 'internal:has-text'
+            ];
+            
+            // IDs and class names that frameworks and build tools generate, which change
+            // between builds or renders
+            this.unstableTokenPatterns = [
+                // React useId, as in :r3:, radix-:r1: or «r5»
+                /:[a-z]*\d[a-z\d]*:|«[a-z\d]+»/i,
+                // styled-components, Emotion, styled-jsx and scoped component styles
+                /^(sc|css|emotion|jsx|svelte|astro)-[a-z\d]+(-[\w]+)?$/i,
+                // CSS modules, as in Button_root__x7Yq2
+                /^[a-z][\w-]*_[\w-]+__[\w-]{5,}$/i,
+                // Framework counters, as in ember42 or mui-7
+                /^(ember|mui|ext-comp|ext-gen|yui_|gwt-uid)[-_]?\d+/i,
+                // Bare numbers and numeric suffixes, as in field-12
+                /^\d+$|[-_:.]\d+$/,
+                // Counters appended to a word, as in __privateStripeFrame5123
+                /[a-z]\d{3,}$/i,
+                // Hex hashes and UUID parts, as in input-8f2a1c
+                /(^|[-_])(?=[a-z]*\d)[a-f\d]{5,}$/i,
+                // Letter and digit hashes, as in _x7Yq2
+                /(^|[-_])(?=([a-z]*\d){2})(?=\d*[a-z])[a-z\d]{5,}$/i
+            ];
+            
+            // The user's pattern lists from the settings, compiled
+            this.compiledTokenPatterns = new WeakMap();
         }
 
         /**
-         * Set up state change listeners
+         * Check whether an ID or class name can be relied on to survive rebuilds and
+         * re-renders. The user's stable patterns win over their unstable ones, which
+         * win over the built-in heuristics.
+         * @param {string} token - ID or class name
+         * @returns {boolean} Whether the token is stable
          */
-        setupStateListeners() {
-            this.stateManager.addListener('recording', (newState, prevState) => {
-                if (newState.mode !== prevState.mode) {
-                    this.handleModeChange(newState.mode, prevState.mode);
-                }
-            });
+        isStableToken(token) {
+            const settings = this.stateManager ? this.stateManager.getState().settings : {};
+            
+            if (this.getUserTokenPatterns(settings.stableTokenPatterns).some(pattern => pattern.test(token))) return true;
+            if (this.getUserTokenPatterns(settings.unstableTokenPatterns).some(pattern => pattern.test(token))) return false;
+            return !this.unstableTokenPatterns.some(pattern => pattern.test(token));
         }
 
         /**
-         * Handle recording mode changes
-         * @param {string} newMode - New recording mode
-         * @param {string} prevMode - Previous recording mode
+         * Get the compiled form of a pattern list from the settings. Lists are replaced
+         * whenever settings are saved, so each one is compiled once.
+         * @param {string[]} [sources] - Regular expression sources
+         * @returns {RegExp[]} Compiled patterns; invalid ones are left out
          */
-        handleModeChange(newMode, prevMode) {
-            console.log(`Enscriber: Recording mode changed from ${prevMode} to ${newMode}`);
+        getUserTokenPatterns(sources) {
+            if (!sources || sources.length === 0) return [];
             
-            this.recordingMode = newMode;
-            
-            switch (newMode) {
-                case ENSCRIBER_CONFIG.modes.MANUAL_SELECTION:
-                    this.startManualSelection();
-                    break;
-                case ENSCRIBER_CONFIG.modes.AUTO_RECORDING:
-                    this.startAutoRecording();
-                    break;
-                case ENSCRIBER_CONFIG.modes.PAUSED:
-                    this.pauseRecording();
-                    break;
-                case ENSCRIBER_CONFIG.modes.INACTIVE:
-                    this.stopRecording();
-                    break;
+            if (!this.compiledTokenPatterns.has(sources)) {
+                const patterns = [];
+                sources.forEach(source => {
+                    try {
+                        patterns.push(new RegExp(source));
+                    } catch (error) {
+                        console.log('Enscriber: Ignoring invalid token pattern', source);
+                    }
+                });
+                this.compiledTokenPatterns.set(sources, patterns);
             }
+            return this.compiledTokenPatterns.get(sources);
         }
 
         /**
-         * Start manual selection mode
+         * Find the closest ancestor with a stable ID
+         * @param {Element} element - Target element
+         * @returns {Element|null} Ancestor within the element's document or shadow root
          */
-        startManualSelection() {
-            this.initializeSession();
-            this.elementSelector.enableSelectionMode();
-            this.networkMonitor.startMonitoring();
-            this.isRecording = true;
+        getStableIdAncestor(element) {
+            let current = element.parentElement;
+            while (current) {
+                if (current.id && this.isStableToken(current.id)) return current;
+                current = current.parentElement;
+            }
+            return null;
         }
 
         /**
-         * Start auto recording mode
+         * Get the selector preferences of the current site
+         * @returns {{testIdAttributes: string[], strategyOrder: string[], testIdAttribute: string}} Preferences
          */
-        startAutoRecording() {
-            this.initializeSession();
-            // For now, just enable selection mode
-            // Full auto recording will be implemented in future phases
-            this.elementSelector.enableSelectionMode();
-            this.networkMonitor.startMonitoring();
-            this.isRecording = true;
+        getSitePreferences() {
+            return this.stateManager
+                ? this.stateManager.getState().sitePreferences
+                : { ...ENSCRIBER_CONFIG.selectors, testIdAttribute: 'data-testid' };
         }
 
         /**
-         * Pause recording
+         * Get the preference strategy a candidate belongs to
+         * @param {SelectorCandidate} candidate - Candidate
+         * @returns {string} testid, role, label, text, css or xpath
          */
-        pauseRecording() {
-            this.elementSelector.disableSelectionMode();
-            this.networkMonitor.stopMonitoring();
-            // Keep isRecording true but disable interactions
+        getPreferenceKey(candidate) {
+            const method = candidate.locator ? candidate.locator.method : null;
+            if (candidate.strategy === 'dataAttribute') return 'testid';
+            if (method === 'getByRole') return 'role';
+            if (candidate.strategy === 'semantic') return 'label';
+            if (candidate.strategy === 'textBased') return 'text';
+            if (candidate.strategy === 'xpath') return 'xpath';
+            return 'css';
         }
 
         /**
-         * Stop recording
+         * Order candidates by the site's strategy preference, keeping the
+         * confidence order within each strategy
+         * @param {SelectorCandidate[]} candidates - Ranked candidates
+         * @returns {SelectorCandidate[]} Candidates in preference order
          */
-        stopRecording() {
-            this.elementSelector.disableSelectionMode();
-            this.networkMonitor.stopMonitoring();
-            this.isRecording = false;
+        orderByPreference(candidates) {
+            const order = this.getSitePreferences().strategyOrder;
+            const position = candidate => {
+                const index = order.indexOf(this.getPreferenceKey(candidate));
+                return index === -1 ? order.length : index;
+            };
+            return [...candidates].sort((a, b) => position(a) - position(b));
+        }
+
+        /**
+         * Generate every candidate selector for an element
+         * @param {Element} element - Target element
+         * @returns {SelectorSet} Selectors by strategy, with the ranked candidate list
+         */
+        generateSelectors(element) {
+            const candidates = [
+                ...this.getDataAttributeSelectors(element),
+                ...this.getSemanticSelectors(element),
+                ...this.getCssSelectors(element),
+                ...this.getXPathSelectors(element),
+                ...this.getTextSelectors(element)
+            ];
             
-            // Save current session if it exists, but keep it in state for persistence
-            const currentState = this.stateManager.getState();
-            if (currentState.currentSession) {
-                const sessionData = {
-                    ...currentState.currentSession,
-                    endTime: Date.now()
-                };
-                
+            // Playwright's strict mode rejects any locator that matches more than one element,
+            // so every candidate is checked against the live document and narrowed down if needed
+            const elements = this.collectElements(element.ownerDocument);
+            const refinements = [];
+            let anchors = null;
+            this.memo = new Map();
+            try {
+                candidates.forEach(candidate => {
+                    const matches = this.verifyCandidate(candidate, element, elements);
+                    if (candidate.matchCount > 1) {
+                        anchors = anchors || this.findAnchors(element, elements);
+                        refinements.push(this.refineCandidate(candidate, element, matches, elements, anchors));
+                    }
+                });
+            } finally {
+                this.memo = null;
+            }
+            
+            const ranked = this.rankCandidates([...candidates, ...refinements]);
+            
+            const selectorsOf = strategy => ranked
+                .filter(candidate => candidate.strategy === strategy)
+                .map(candidate => candidate.selector);
+            
+            return {
+                css: selectorsOf('css'),
+                xpath: selectorsOf('xpath'),
+                dataAttributes: selectorsOf('dataAttribute'),
+                textBased: selectorsOf('textBased'),
+                role: selectorsOf('semantic'),
+                confidence: this.calculateConfidence(ranked),
+                ranked: ranked
+            };
+        }
+
+        /**
+         * Compute a value for an element once while selectors are being generated
+         * @param {string} kind - Kind of value, such as role or name
+         * @param {Element} element - Element the value belongs to
+         * @param {Function} compute - Computes the value
+         * @returns {*} Value
+         */
+        remember(kind, element, compute) {
+            if (!this.memo) return compute();
+            
+            if (!this.memo.has(kind)) {
+                this.memo.set(kind, new Map());
+            }
+            const values = this.memo.get(kind);
+            if (!values.has(element)) {
+                values.set(element, compute());
+            }
+            return values.get(element);
+        }
+
+        /**
+         * Sort candidates by confidence, keeping the first occurrence of each selector
+         * @param {SelectorCandidate[]} candidates - Candidates in strategy priority order
+         * @returns {SelectorCandidate[]} Ranked candidates, most reliable first
+         */
+        rankCandidates(candidates) {
+            const seen = new Set();
+            const unique = candidates.filter(candidate => {
+                if (seen.has(candidate.selector)) return false;
+                seen.add(candidate.selector);
+                return true;
+            });
+            
+            // Array sort is stable, so equal scores keep the strategy priority order
+            const score = candidate => 'score' in candidate ? candidate.score : candidate.confidence;
+            return unique.sort((a, b) => score(b) - score(a));
+        }
+
+        /**
+         * Get the best confidence reached by each strategy
+         * @param {SelectorCandidate[]} candidates - Generated candidates
+         * @returns {SelectorConfidence} Confidence per strategy, 0 when it produced nothing
+         */
+        calculateConfidence(candidates) {
+            const confidence = {};
+            Object.keys(this.confidenceRanges).forEach(strategy => {
+                confidence[strategy] = candidates
+                    .filter(candidate => candidate.strategy === strategy)
+                    .reduce((best, candidate) => Math.max(best, candidate.confidence), 0);
+            });
+            return confidence;
+        }
+
+        /**
+         * Create a candidate scored within its strategy's confidence range
+         * @param {string} strategy - Strategy that produced the selector
+         * @param {string} selector - Playwright selector
+         * @param {number} weight - Position within the strategy's range, from 0 to 1
+         * @param {UserFacingLocator} [locator] - Equivalent Playwright user-facing locator
+         * @returns {SelectorCandidate} Candidate
+         */
+        createCandidate(strategy, selector, weight, locator = null) {
+            const range = this.confidenceRanges[strategy];
+            const confidence = range.min + (range.max - range.min) * weight;
+            const candidate = {
+                strategy: strategy,
+                selector: selector,
+                confidence: Math.round(confidence * 100) / 100
+            };
+            
+            if (locator) {
+                candidate.locator = locator;
+            }
+            return candidate;
+        }
+
+        /**
+         * Generate test-id and other identifying data attribute selectors
+         * @param {Element} element - Target element
+         * @returns {SelectorCandidate[]} Candidates
+         */
+        getDataAttributeSelectors(element) {
+            const candidates = [];
+            const testIdAttributes = this.getSitePreferences().testIdAttributes;
+            
+            testIdAttributes.forEach((name, index) => {
+                const value = element.getAttribute(name);
+                if (value) {
+                    // Export only calls getByTestId for the attribute playwright.config names
+                    candidates.push(this.createCandidate('dataAttribute', `[${name}=${this.quote(value)}]`,
+                        Math.max(0, 1 - index * 0.2), { method: 'getByTestId', text: value, attribute: name }));
+                }
+            });
+            
+            Array.from(element.attributes).forEach(attribute => {
+                if (testIdAttributes.includes(attribute.name) ||
+                    !this.identifyingDataAttributePattern.test(attribute.name) || !attribute.value) {
+                    return;
+                }
+                candidates.push(this.createCandidate('dataAttribute', `[${attribute.name}=${this.quote(attribute.value)}]`, 0));
+            });
+            
+            return candidates;
+        }
+
+        /**
+         * Generate ARIA role and label selectors
+         * @param {Element} element - Target element
+         * @returns {SelectorCandidate[]} Candidates
+         */
+        getSemanticSelectors(element) {
+            const candidates = [];
+            const role = this.getRole(element);
+            const name = role ? this.getAccessibleName(element) : '';
+            
+            if (role && name && name.length <= this.maxTextLength) {
+                candidates.push(this.createCandidate('semantic', `role=${role}[name=${this.quote(name)}]`, 1,
+                    { method: 'getByRole', role: role, name: name }));
+            }
+            
+            const labelText = this.getLabelText(element);
+            if (labelText && labelText.length <= this.maxTextLength) {
+                candidates.push(this.createCandidate('semantic', `internal:label=${this.quote(labelText)}i`, 0.75,
+                    { method: 'getByLabel', text: labelText }));
+            }
+            
+            const placeholder = this.normalizeText(element.getAttribute('placeholder') || '');
+            if (placeholder && placeholder.length <= this.maxTextLength) {
+                candidates.push(this.createCandidate('semantic', `internal:attr=[placeholder=${this.quote(placeholder)}i]`, 0.6,
+                    { method: 'getByPlaceholder', text: placeholder }));
+            }
+            
+            const ariaLabel = element.getAttribute('aria-label');
+            if (ariaLabel) {
+                candidates.push(this.createCandidate('semantic', `[aria-label=${this.quote(ariaLabel)}]`, 0.5));
+            }
+            
+            // Landmarks are usually unique on a page and need no name
+            if (role && !name && this.landmarkRoles.includes(role)) {
+                candidates.push(this.createCandidate('semantic', `role=${role}`, 0, { method: 'getByRole', role: role }));
+            }
+            
+            return candidates;
+        }
+
+        /**
+         * Generate ID, attribute, class and structural CSS selectors
+         * @param {Element} element - Target element
+         * @returns {SelectorCandidate[]} Candidates
+         */
+        getCssSelectors(element) {
+            const candidates = [];
+            const tagName = element.tagName.toLowerCase();
+            
+            if (element.id && this.isStableToken(element.id)) {
+                candidates.push(this.createCandidate('css', `#${CSS.escape(element.id)}`, 1));
+            }
+            
+            const name = element.getAttribute('name');
+            if (name) {
+                candidates.push(this.createCandidate('css', `${tagName}[name=${this.quote(name)}]`, 0.8));
+            }
+            
+            ['placeholder', 'title', 'alt'].forEach(attribute => {
+                const value = element.getAttribute(attribute);
+                if (value && value.length <= this.maxTextLength) {
+                    candidates.push(this.createCandidate('css', `${tagName}[${attribute}=${this.quote(value)}]`, 0.6));
+                }
+            });
+            
+            const href = element.getAttribute('href');
+            if (tagName === 'a' && href && !href.startsWith('javascript:') && href.length <= 100) {
+                candidates.push(this.createCandidate('css', `a[href=${this.quote(href)}]`, 0.5));
+            }
+            
+            const classes = this.getClasses(element).slice(0, 2);
+            if (classes.length > 0) {
+                candidates.push(this.createCandidate('css', `${tagName}${classes.map(name => `.${CSS.escape(name)}`).join('')}`, 0.3));
+            }
+            
+            candidates.push(Object.assign(this.createCandidate('css', this.getCssPath(element), 0), { positional: true }));
+            
+            return candidates;
+        }
+
+        /**
+         * Generate text, ID-anchored and positional XPath selectors
+         * @param {Element} element - Target element
+         * @returns {SelectorCandidate[]} Candidates
+         */
+        getXPathSelectors(element) {
+            // XPath cannot cross shadow boundaries
+            if (element.getRootNode().host) return [];
+            
+            const candidates = [];
+            const tagName = element.tagName.toLowerCase();
+            const text = this.getText(element);
+            
+            if (text && text.length <= this.maxTextLength && !text.includes('"')) {
+                candidates.push(this.createCandidate('xpath', `xpath=//${tagName}[normalize-space()="${text}"]`, 1));
+            }
+            
+            // Relative to the closest ancestor with an ID, which survives changes elsewhere on the page
+            const anchor = this.getStableIdAncestor(element);
+            if (anchor && !anchor.id.includes('"')) {
+                const path = this.getPositionalXPath(element, anchor);
+                candidates.push(Object.assign(this.createCandidate('xpath', `xpath=//*[@id="${anchor.id}"]${path}`, 0.5), { positional: true }));
+            }
+            
+            candidates.push(Object.assign(this.createCandidate('xpath', `xpath=${this.getPositionalXPath(element)}`, 0), { positional: true }));
+            
+            return candidates;
+        }
+
+        /**
+         * Generate exact and partial text selectors
+         * @param {Element} element - Target element
+         * @returns {SelectorCandidate[]} Candidates
+         */
+        getTextSelectors(element) {
+            const text = this.getText(element);
+            if (!text) return [];
+            
+            // Form controls are located by their labels, not their option or value text
+            const locator = element.matches('input, select, textarea') ? null : { method: 'getByText', text: text };
+            
+            if (text.length <= 30) {
+                return [this.createCandidate('textBased', `text=${this.quote(text)}`, 1, locator)];
+            }
+            if (text.length <= this.maxTextLength) {
+                return [this.createCandidate('textBased', `text=${this.quote(text)}`, 0.5, locator)];
+            }
+            
+            // Unquoted text matches case-insensitively as a substring
+            const prefix = text.substring(0, 30).trim();
+            return [this.createCandidate('textBased', `text=${prefix}`, 0, locator && { method: 'getByText', text: prefix })];
+        }
+
+        /**
+         * Get an element's explicit or implicit ARIA role
+         * @param {Element} element - Target element
+         * @returns {string|null} Role, or null for generic and presentational elements
+         */
+        getRole(element) {
+            return this.remember('role', element, () => this.computeRole(element));
+        }
+
+        /**
+         * Work out an element's role from its role attribute, tag and attributes
+         * @param {Element} element - Target element
+         * @returns {string|null} Role, or null for generic and presentational elements
+         */
+        computeRole(element) {
+            // The first token that names a known role wins; the rest are fallbacks
+            const explicitRole = (element.getAttribute('role') || '').toLowerCase().split(/\s+/)
+                .find(token => this.ariaRoles.includes(token));
+            if (explicitRole) {
+                return ['none', 'presentation', 'generic'].includes(explicitRole) ? null : explicitRole;
+            }
+            
+            const tagName = element.tagName.toLowerCase();
+            const type = (element.getAttribute('type') || 'text').toLowerCase();
+            
+            switch (tagName) {
+                case 'a':
+                case 'area':
+                    return element.hasAttribute('href') ? 'link' : null;
+                case 'input':
+                    if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+                    if (['checkbox', 'radio'].includes(type)) return type;
+                    if (type === 'range') return 'slider';
+                    if (type === 'number') return 'spinbutton';
+                    if (type === 'search') return element.hasAttribute('list') ? 'combobox' : 'searchbox';
+                    if (['text', 'email', 'tel', 'url'].includes(type)) {
+                        return element.hasAttribute('list') ? 'combobox' : 'textbox';
+                    }
+                    // Password, date, color and hidden inputs have no role
+                    return null;
+                case 'select':
+                    return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+                case 'h1':
+                case 'h2':
+                case 'h3':
+                case 'h4':
+                case 'h5':
+                case 'h6':
+                    return 'heading';
+                case 'img':
+                    return element.getAttribute('alt') === '' ? null : 'img';
+                case 'header':
+                case 'footer':
+                    // Only page-level headers and footers are landmarks
+                    if (element.parentElement && element.parentElement.closest('article, aside, main, nav, section')) return null;
+                    return tagName === 'header' ? 'banner' : 'contentinfo';
+                case 'section':
+                    return this.hasAuthorName(element) ? 'region' : null;
+                case 'form':
+                    return this.hasAuthorName(element) ? 'form' : null;
+                case 'th':
+                    return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+                default:
+                    return this.implicitRoles[tagName] || null;
+            }
+        }
+
+        /**
+         * Check whether an element is named by aria-label or aria-labelledby
+         * @param {Element} element - Target element
+         * @returns {boolean} Whether the element has an author-provided name
+         */
+        hasAuthorName(element) {
+            return Boolean((element.getAttribute('aria-label') || '').trim() || element.getAttribute('aria-labelledby'));
+        }
+
+        /**
+         * Compute an element's accessible name following the accname algorithm:
+         * aria-labelledby, aria-label, native labels and alternatives, content for
+         * roles named from content, then title and placeholder
+         * @param {Element} element - Target element
+         * @returns {string} Accessible name, or empty string
+         */
+        getAccessibleName(element) {
+            return this.remember('name', element, () => this.normalizeText(this.computeName(element, false)));
+        }
+
+        /**
+         * Compute the text alternative of an element
+         * @param {Element} element - Element being named
+         * @param {boolean} inTraversal - Whether the element is named as part of another name
+         * @returns {string} Text alternative, not yet normalized
+         */
+        computeName(element, inTraversal) {
+            if (inTraversal && this.isHiddenFromNames(element)) return '';
+            
+            // aria-labelledby is not followed again from within a referenced label
+            const labelledBy = element.getAttribute('aria-labelledby');
+            if (labelledBy && !inTraversal) {
+                const root = element.getRootNode();
+                const text = labelledBy.split(/\s+/)
+                    .map(id => root.getElementById ? root.getElementById(id) : null)
+                    .filter(label => label)
+                    .map(label => this.computeName(label, true))
+                    .join(' ');
+                if (text.trim()) return text;
+            }
+            
+            const ariaLabel = element.getAttribute('aria-label');
+            if (ariaLabel && ariaLabel.trim()) return ariaLabel;
+            
+            const nativeName = this.getNativeName(element);
+            if (nativeName && nativeName.trim()) return nativeName;
+            
+            const role = this.getRole(element);
+            if (inTraversal || this.nameFromContentRoles.includes(role)) {
+                const text = this.getContentName(element);
+                if (text.trim()) return text;
+            }
+            
+            const title = element.getAttribute('title');
+            if (title && title.trim()) return title;
+            
+            return element.getAttribute('placeholder') || '';
+        }
+
+        /**
+         * Get the name a native HTML feature gives an element
+         * @param {Element} element - Target element
+         * @returns {string} Name from labels, alt, value, legend or caption
+         */
+        getNativeName(element) {
+            const tagName = element.tagName.toLowerCase();
+            const type = (element.getAttribute('type') || '').toLowerCase();
+            
+            if (tagName === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+                return element.value || (type === 'submit' ? 'Submit' : type === 'reset' ? 'Reset' : '');
+            }
+            if (tagName === 'input' && type === 'image') {
+                return element.getAttribute('alt') || element.value || 'Submit';
+            }
+            
+            if (element.labels && element.labels.length > 0) {
+                return Array.from(element.labels)
+                    .map(label => this.getContentName(label, element))
+                    .join(' ');
+            }
+            
+            if (tagName === 'img' || tagName === 'area') {
+                return element.getAttribute('alt') || '';
+            }
+            
+            const captionTag = { fieldset: 'legend', table: 'caption', figure: 'figcaption' }[tagName];
+            if (captionTag) {
+                const caption = Array.from(element.children).find(child => child.tagName.toLowerCase() === captionTag);
+                return caption ? this.getContentName(caption) : '';
+            }
+            
+            return '';
+        }
+
+        /**
+         * Get the name an element takes from its content
+         * @param {Element} element - Element whose content names it
+         * @param {Element} [skip] - Control inside a label that must not name itself
+         * @returns {string} Concatenated text alternatives of the child nodes
+         */
+        getContentName(element, skip = null) {
+            const parts = [];
+            
+            element.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    parts.push(node.textContent);
+                } else if (node.nodeType === Node.ELEMENT_NODE && node !== skip) {
+                    const text = node.tagName.toLowerCase() === 'br' ? ' ' : this.computeName(node, true);
+                    // Block elements separate their text from their neighbors
+                    parts.push(this.inlineTags.includes(node.tagName.toLowerCase()) ? text : ` ${text} `);
+                }
+            });
+            
+            return parts.join('');
+        }
+
+        /**
+         * Check whether an element is left out of the names of its ancestors
+         * @param {Element} element - Descendant being named
+         * @returns {boolean} Whether the element is hidden
+         */
+        isHiddenFromNames(element) {
+            return this.remember('hidden', element, () => this.computeHiddenFromNames(element));
+        }
+
+        /**
+         * Check an element's hidden state, ARIA hiding and computed visibility
+         * @param {Element} element - Descendant being named
+         * @returns {boolean} Whether the element is hidden
+         */
+        computeHiddenFromNames(element) {
+            if (element.hidden || element.getAttribute('aria-hidden') === 'true') return true;
+            if (['script', 'style', 'template', 'noscript'].includes(element.tagName.toLowerCase())) return true;
+            
+            const style = element.ownerDocument.defaultView.getComputedStyle(element);
+            return style.display === 'none' || style.visibility === 'hidden';
+        }
+
+        /**
+         * Get the text of the labels that name a form control, as getByLabel matches it
+         * @param {Element} element - Target element
+         * @returns {string} Label text, or empty string if the element is not labelled
+         */
+        getLabelText(element) {
+            const labelledBy = element.getAttribute('aria-labelledby');
+            if (labelledBy) {
+                const root = element.getRootNode();
+                const text = labelledBy.split(/\s+/)
+                    .map(id => root.getElementById ? root.getElementById(id) : null)
+                    .filter(label => label)
+                    .map(label => this.computeName(label, true))
+                    .join(' ');
+                if (text.trim()) return this.normalizeText(text);
+            }
+            
+            const ariaLabel = element.getAttribute('aria-label');
+            if (ariaLabel && ariaLabel.trim()) return this.normalizeText(ariaLabel);
+            
+            if (element.labels && element.labels.length > 0) {
+                return this.normalizeText(Array.from(element.labels)
+                    .map(label => this.getContentName(label, element))
+                    .join(' '));
+            }
+            
+            return '';
+        }
+
+        /**
+         * Check whether an element belongs to Enscriber's panel or overlays, which are
+         * not part of the page under test
+         * @param {Element} element - Element to check
+         * @returns {boolean} Whether the element is Enscriber's own
+         */
+        isOwnElement(element) {
+            return Boolean(element.closest('[id^="enscriber-"], [class*="enscriber-"]'));
+        }
+
+        /**
+         * Collect every element of a document, including those inside open shadow roots,
+         * since Playwright's user-facing locators pierce shadow DOM
+         * @param {Document|ShadowRoot} root - Root to collect from
+         * @returns {Element[]} Elements in document order
+         */
+        collectElements(root) {
+            const elements = [];
+            
+            root.querySelectorAll('*').forEach(element => {
+                if (this.isOwnElement(element)) return;
+                elements.push(element);
+                if (element.shadowRoot) {
+                    elements.push(...this.collectElements(element.shadowRoot));
+                }
+            });
+            
+            return elements;
+        }
+
+        /**
+         * Evaluate a candidate against the document and record its match count
+         * @param {SelectorCandidate} candidate - Candidate to verify
+         * @param {Element} element - Element the candidate must find
+         * @param {Element[]} elements - Every element of the document
+         * @returns {Element[]} Matching elements
+         */
+        verifyCandidate(candidate, element, elements) {
+            if (candidate.locator) {
+                return this.verifyLocator(candidate, element, elements);
+            }
+            
+            const matches = this.findSelectorMatches(candidate.selector, element.ownerDocument, elements);
+            candidate.matchCount = matches.includes(element) ? matches.length : 0;
+            return matches;
+        }
+
+        /**
+         * Count the elements a user-facing locator matches and record whether it
+         * singles out the element, falling back to exact matching when needed
+         * @param {SelectorCandidate} candidate - Candidate with a user-facing locator
+         * @param {Element} element - Element the locator must find
+         * @param {Element[]} elements - Every element of the document
+         * @returns {Element[]} Matching elements
+         */
+        verifyLocator(candidate, element, elements) {
+            let matches = this.findLocatorMatches(candidate.locator, elements, false);
+            
+            // Names and texts match as case-insensitive substrings unless exact
+            if (matches.length > 1 && candidate.locator.method !== 'getByTestId') {
+                const exactMatches = this.findLocatorMatches(candidate.locator, elements, true);
+                if (exactMatches.length === 1) {
+                    candidate.locator.exact = true;
+                    matches = exactMatches;
+                }
+            }
+            
+            // A locator that finds only other elements does not locate this one at all
+            candidate.matchCount = matches.some(match => this.isMatchOf(match, element)) ? matches.length : 0;
+            return matches;
+        }
+
+        /**
+         * Check whether a match stands for the element. Text locators resolve to the
+         * innermost element holding the text, which only acts for the element when
+         * that is named by its content, like a span inside a button.
+         * @param {Element} match - Matched element
+         * @param {Element} element - Element the selector must find
+         * @returns {boolean} Whether the match is the element
+         */
+        isMatchOf(match, element) {
+            return match === element ||
+                (element.contains(match) && this.nameFromContentRoles.includes(this.getRole(element)));
+        }
+
+        /**
+         * Find the elements a CSS or XPath selector matches
+         * @param {string} selector - CSS selector, or XPath prefixed with xpath=
+         * @param {Document} doc - Document to evaluate XPath in
+         * @param {Element[]} elements - Every element of the document
+         * @returns {Element[]} Matching elements in document order
+         */
+        findSelectorMatches(selector, doc, elements) {
+            try {
+                if (selector.startsWith('xpath=')) {
+                    const result = doc.evaluate(selector.substring(6), doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                    return Array.from({ length: result.snapshotLength }, (_, index) => result.snapshotItem(index))
+                        .filter(node => node.nodeType === Node.ELEMENT_NODE && !this.isOwnElement(node));
+                }
+                // text=, role= and other engines, >> chains and :nth-match are not CSS the browser knows
+                if (/^[a-z-]+(?::[a-z-]+)?=/i.test(selector) || selector.includes('>>') || selector.includes(':nth-match(')) {
+                    return this.evaluateSelector(selector, doc);
+                }
+                // Playwright's CSS engine pierces open shadow roots, so the collected elements are matched
+                return elements.filter(candidate => candidate.matches(selector));
+            } catch (error) {
+                console.log('Enscriber: Could not evaluate selector', selector, error);
+                return [];
+            }
+        }
+
+        /**
+         * Find the elements a stored candidate matches in the document as it is now,
+         * applying its anchor, text filter and position
+         * @param {SelectorCandidate} candidate - Candidate to evaluate
+         * @param {Document} doc - Document to evaluate in
+         * @param {Element[]} [elements] - Every element of the document
+         * @returns {Element[]} Matching elements
+         */
+        findCandidateMatches(candidate, doc, elements = this.collectElements(doc)) {
+            const locator = candidate.locator;
+            const refined = candidate.scope || candidate.filter || candidate.nth !== undefined;
+            let matches = locator
+                ? this.findLocatorMatches(locator, elements, Boolean(locator.exact))
+                : this.findSelectorMatches(refined ? candidate.refines : candidate.selector, doc, elements);
+            
+            if (candidate.scope) {
+                const anchors = this.findCandidateMatches(candidate.scope, doc, elements);
+                matches = matches.filter(match => anchors.some(anchor => anchor.contains(match)));
+            }
+            
+            const hasText = locator ? locator.hasText : candidate.filter && candidate.filter.hasText;
+            if (hasText) {
+                matches = matches.filter(match => this.getText(match).toLowerCase()
+                    .includes(hasText.toLowerCase()));
+            }
+            
+            const nth = locator ? locator.nth : candidate.nth;
+            if (nth !== undefined) {
+                matches = matches[nth] ? [matches[nth]] : [];
+            }
+            return matches;
+        }
+
+        /**
+         * Evaluate a hand-written selector the way Playwright's page.locator() would:
+         * CSS, XPath, the text=, role=, id= and test-id engines, Enscriber's own
+         * internal: selectors, and >> chains where each part searches inside the
+         * previous part's matches
+         * @param {string} selector - Selector to evaluate
+         * @param {Document} doc - Document to evaluate in
+         * @returns {Element[]} Matching elements
+         * @throws {Error} When the selector cannot be parsed
+         */
+        evaluateSelector(selector, doc) {
+            let matches = null;
+            
+            this.splitSelectorChain(selector).forEach(part => {
+                const engineMatch = /^([a-z-]+(?::[a-z-]+)?)=([\s\S]*)$/i.exec(part);
+                let engine = engineMatch && this.selectorEngines.includes(engineMatch[1].toLowerCase())
+                    ? engineMatch[1].toLowerCase() : null;
+                let body = engine ? engineMatch[2].trim() : part;
+                
+                // Bare XPath and quoted text need no engine name
+                if (!engine) {
+                    engine = /^(\/|\.\.|\()/.test(part) ? 'xpath' : /^["']/.test(part) ? 'text' : 'css';
+                }
+                
+                if (engine === 'nth') {
+                    const index = parseInt(body, 10);
+                    if (isNaN(index)) throw new Error(`Invalid nth: ${body}`);
+                    const current = matches || this.collectElements(doc);
+                    const match = current[index < 0 ? current.length + index : index];
+                    matches = match ? [match] : [];
+                    return;
+                }
+                if (engine === 'internal:has-text') {
+                    const { value, flag } = this.parseQuoted(body);
+                    matches = (matches || this.collectElements(doc)).filter(element => {
+                        const text = this.normalizeText(element.textContent);
+                        return flag === 's' ? text.includes(value) : text.toLowerCase().includes(value.toLowerCase());
+                    });
+                    return;
+                }
+                
+                // Other parts search inside the previous part's matches
+                const scopes = matches || [doc];
+                const seen = new Set();
+                matches = [];
+                scopes.forEach(scope => {
+                    this.evaluateSelectorPart(engine, body, scope, doc).forEach(element => {
+                        if (!seen.has(element)) {
+                            seen.add(element);
+                            matches.push(element);
+                        }
+                    });
+                });
+            });
+            
+            return matches || [];
+        }
+
+        /**
+         * Find the elements one part of a selector chain matches inside a scope
+         * @param {string} engine - Selector engine
+         * @param {string} body - Selector without the engine name
+         * @param {Document|Element} scope - Document or previous match to search in
+         * @param {Document} doc - Document being evaluated
+         * @returns {Element[]} Matching elements
+         */
+        evaluateSelectorPart(engine, body, scope, doc) {
+            const elements = this.collectElements(scope);
+            
+            switch (engine) {
+                case 'css': {
+                    const nthMatch = /^:nth-match\(([\s\S]+),\s*(\d+)\)$/.exec(body);
+                    if (nthMatch) {
+                        const match = this.matchCss(nthMatch[1], elements)[parseInt(nthMatch[2], 10) - 1];
+                        return match ? [match] : [];
+                    }
+                    return this.matchCss(body, elements);
+                }
+                case 'xpath': {
+                    // Chained XPath is relative to the previous match, as in Playwright
+                    const expression = scope !== doc && body.startsWith('/') ? `.${body}` : body;
+                    let result;
+                    try {
+                        result = doc.evaluate(expression, scope, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                    } catch (error) {
+                        throw new Error(`Invalid XPath: ${body}`);
+                    }
+                    return Array.from({ length: result.snapshotLength }, (_, index) => result.snapshotItem(index))
+                        .filter(node => node.nodeType === Node.ELEMENT_NODE && !this.isOwnElement(node));
+                }
+                case 'text':
+                case 'internal:text': {
+                    // Quoted text matches whole and case-sensitively unless flagged i
+                    const quoted = /^["']/.test(body);
+                    const { value, flag } = quoted ? this.parseQuoted(body) : { value: body, flag: 'i' };
+                    return this.findLocatorMatches({ method: 'getByText', text: this.normalizeText(value) }, elements, flag !== 'i');
+                }
+                case 'role':
+                case 'internal:role': {
+                    const roleMatch = /^([a-z]+)\s*([\s\S]*)$/i.exec(body);
+                    if (!roleMatch) throw new Error(`Invalid role selector: ${body}`);
+                    const locator = { method: 'getByRole', role: roleMatch[1].toLowerCase() };
+                    let exact = false;
+                    this.parseAttributes(roleMatch[2]).forEach(attribute => {
+                        if (attribute.name !== 'name') {
+                            throw new Error(`Unsupported role attribute: ${attribute.name}`);
+                        }
+                        locator.name = this.normalizeText(attribute.value);
+                        exact = attribute.flag === 's';
+                    });
+                    return this.findLocatorMatches(locator, elements, exact);
+                }
+                case 'internal:label': {
+                    const { value, flag } = this.parseQuoted(body);
+                    return this.findLocatorMatches({ method: 'getByLabel', text: this.normalizeText(value) }, elements, flag === 's');
+                }
+                case 'internal:attr':
+                case 'internal:testid':
+                    return this.parseAttributes(body).reduce((matches, attribute) => matches.filter(element => {
+                        const value = element.getAttribute(attribute.name);
+                        if (value === null) return false;
+                        return attribute.flag === 's' || engine === 'internal:testid'
+                            ? value === attribute.value
+                            : value.toLowerCase().includes(attribute.value.toLowerCase());
+                    }), elements);
+                case 'id':
+                    return elements.filter(element => element.id === body);
+                default:
+                    // data-testid=, data-test-id= and data-test= match the attribute value
+                    return elements.filter(element => element.getAttribute(engine) === body);
+            }
+        }
+
+        /**
+         * Match a CSS selector against collected elements
+         * @param {string} selector - CSS selector
+         * @param {Element[]} elements - Elements to match
+         * @returns {Element[]} Matching elements
+         * @throws {Error} When the selector is not valid CSS
+         */
+        matchCss(selector, elements) {
+            try {
+                return elements.filter(element => element.matches(selector));
+            } catch (error) {
+                throw new Error(`Invalid CSS selector: ${selector}`);
+            }
+        }
+
+        /**
+         * Split a selector into the parts of its >> chain, ignoring >> inside quotes and brackets
+         * @param {string} selector - Selector
+         * @returns {string[]} Parts
+         * @throws {Error} When a part is empty
+         */
+        splitSelectorChain(selector) {
+            const parts = [];
+            let quote = null;
+            let depth = 0;
+            let start = 0;
+            
+            for (let index = 0; index < selector.length; index++) {
+                const char = selector[index];
+                if (quote) {
+                    if (char === '\\') index++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '[' || char === '(') {
+                    depth++;
+                } else if (char === ']' || char === ')') {
+                    depth--;
+                } else if (char === '>' && selector[index + 1] === '>' && depth === 0) {
+                    parts.push(selector.substring(start, index).trim());
+                    start = index + 2;
+                    index++;
+                }
+            }
+            parts.push(selector.substring(start).trim());
+            
+            if (parts.some(part => !part)) {
+                throw new Error('Empty part in >> chain');
+            }
+            return parts;
+        }
+
+        /**
+         * Parse a quoted selector value with an optional i or s flag
+         * @param {string} body - Quoted value, as in "Submit"i
+         * @returns {{value: string, flag: string}} Unescaped value and flag, empty if none
+         * @throws {Error} When the value is not quoted
+         */
+        parseQuoted(body) {
+            const match = /^(["'])((?:\\.|(?!\1)[^\\])*)\1([is]?)$/.exec(body.trim());
+            if (!match) throw new Error(`Expected a quoted value: ${body}`);
+            return { value: match[2].replace(/\\(.)/g, '$1'), flag: match[3] };
+        }
+
+        /**
+         * Parse attribute filters such as [name="Submit"i][placeholder="Email"]
+         * @param {string} body - Attribute filters
+         * @returns {Array<{name: string, value: string, flag: string}>} Attributes
+         * @throws {Error} When the filters cannot be parsed
+         */
+        parseAttributes(body) {
+            const attributes = [];
+            const pattern = /\[\s*([\w-]+)\s*=\s*((["'])(?:\\.|(?!\3)[^\\])*\3[is]?|[^\]\s]+)\s*\]/g;
+            let rest = body.trim();
+            let match;
+            
+            while ((match = pattern.exec(body)) !== null) {
+                const quoted = /^["']/.test(match[2]);
+                const { value, flag } = quoted ? this.parseQuoted(match[2]) : { value: match[2], flag: '' };
+                attributes.push({ name: match[1].toLowerCase(), value: value, flag: flag });
+                rest = rest.replace(match[0].trim(), '').trim();
+            }
+            
+            if (rest) throw new Error(`Invalid attribute filter: ${rest}`);
+            return attributes;
+        }
+
+        /**
+         * Narrow a non-unique candidate down to the element: by text its look-alikes
+         * lack, chained from a stable ancestor, under the closest ancestor with an ID,
+         * or else by position
+         * @param {SelectorCandidate} candidate - Candidate matching several elements
+         * @param {Element} element - Element the candidate must find
+         * @param {Element[]} matches - Elements the candidate matches
+         * @param {Element[]} elements - Every element of the document
+         * @param {Array<{element: Element, selector: string, locator: UserFacingLocator}>} anchors - Stable ancestors, closest first
+         * @returns {SelectorCandidate} Refined candidate matching only the element
+         */
+        refineCandidate(candidate, element, matches, elements, anchors) {
+            const text = this.getText(element);
+            if (text && text.length <= this.maxTextLength) {
+                // filter({ hasText }) matches case-insensitive substrings of the whole text content
+                const filtered = matches.filter(match => this.getText(match).toLowerCase()
+                    .includes(text.toLowerCase()));
+                if (filtered.length === 1 && this.isMatchOf(filtered[0], element)) {
+                    return this.createRefinement(candidate, `${candidate.selector} >> internal:has-text=${this.quote(text)}i`,
+                        'filter', { hasText: text });
+                }
+            }
+            
+            const isXPath = candidate.selector.startsWith('xpath=');
+            if (!isXPath && !candidate.positional) {
+                const scope = anchors.find(anchor => {
+                    const scopedMatches = matches.filter(match => anchor.element.contains(match));
+                    return scopedMatches.length === 1 && this.isMatchOf(scopedMatches[0], element);
+                });
+                if (scope) {
+                    const chained = this.createRefinement(candidate, `${scope.selector} >> ${candidate.selector}`, 'scope');
+                    chained.scope = { selector: scope.selector, locator: scope.locator };
+                    return chained;
+                }
+            }
+            
+            const anchor = this.getStableIdAncestor(element);
+            if (!candidate.locator && !isXPath && anchor) {
+                const scoped = `#${CSS.escape(anchor.id)} ${candidate.selector}`;
+                const scopedMatches = this.findSelectorMatches(scoped, element.ownerDocument, elements);
+                if (scopedMatches.length === 1 && scopedMatches[0] === element) {
+                    return this.createRefinement(candidate, scoped, 'scope');
+                }
+            }
+            
+            const index = matches.findIndex(match => this.isMatchOf(match, element));
+            if (candidate.locator) {
+                return this.createRefinement(candidate, `${candidate.selector} >> nth=${index}`, 'nth', { nth: index });
+            }
+            if (isXPath) {
+                return this.createRefinement(candidate, `xpath=(${candidate.selector.substring(6)})[${index + 1}]`, 'nth', { nth: index });
+            }
+            return this.createRefinement(candidate, `:nth-match(${candidate.selector}, ${index + 1})`, 'nth', { nth: index });
+        }
+
+        /**
+         * Find the ancestors a locator can be chained from: test-id containers, rows
+         * and list items with text no other copy has, and landmarks. Only ancestors
+         * that are unique on the page qualify.
+         * @param {Element} element - Target element
+         * @param {Element[]} elements - Every element of the document
+         * @returns {Array<{element: Element, selector: string, locator: UserFacingLocator}>} Anchors, closest first
+         */
+        findAnchors(element, elements) {
+            const anchors = [];
+            const testIdAttributes = this.getSitePreferences().testIdAttributes;
+            // Texts of the containers of each row role, shared by all ancestors of that role
+            const rowTexts = new Map();
+            let current = element.parentElement;
+            
+            while (current && current.tagName.toLowerCase() !== 'body') {
+                const ancestor = current;
+                const role = this.getRole(ancestor);
+                const testIdAttribute = testIdAttributes.find(name => ancestor.getAttribute(name));
+                
+                if (testIdAttribute) {
+                    const value = ancestor.getAttribute(testIdAttribute);
+                    if (elements.filter(candidate => candidate.getAttribute(testIdAttribute) === value).length === 1) {
+                        anchors.push({
+                            element: ancestor,
+                            selector: `[${testIdAttribute}=${this.quote(value)}]`,
+                            locator: { method: 'getByTestId', text: value, attribute: testIdAttribute }
+                        });
+                    }
+                } else if (this.rowRoles.includes(role)) {
+                    const anchor = this.getRowAnchor(ancestor, role, element, this.getRowTexts(role, elements, rowTexts));
+                    if (anchor) anchors.push(anchor);
+                } else if (this.landmarkRoles.includes(role)) {
+                    const name = this.getAccessibleName(ancestor);
+                    const locator = name && name.length <= this.maxTextLength
+                        ? { method: 'getByRole', role: role, name: name }
+                        : { method: 'getByRole', role: role };
+                    const landmarks = this.findLocatorMatches(locator, elements, false);
+                    if (landmarks.length === 1 && landmarks[0] === ancestor) {
+                        const selector = locator.name ? `role=${role}[name=${this.quote(name)}]` : `role=${role}`;
+                        anchors.push({ element: ancestor, selector: selector, locator: locator });
+                    }
+                }
+                
+                current = current.parentElement;
+            }
+            
+            return anchors;
+        }
+
+        /**
+         * Get the lowercase text every container of a row role is told apart by: the
+         * accessible name of rows, the text content of other containers
+         * @param {string} role - Container role
+         * @param {Element[]} elements - Every element of the document
+         * @param {Map<string, Array|null>} cache - Texts already collected, by role
+         * @returns {Array<{element: Element, text: string}>|null} Container texts, or null if there are too many containers
+         */
+        getRowTexts(role, elements, cache) {
+            if (!cache.has(role)) {
+                const rows = elements.filter(candidate => this.getRole(candidate) === role);
+                cache.set(role, rows.length > this.maxAnchorRows ? null : rows.map(candidate => ({
+                    element: candidate,
+                    text: (role === 'row' ? this.getAccessibleName(candidate) : this.normalizeText(candidate.textContent)).toLowerCase()
+                })));
+            }
+            return cache.get(role);
+        }
+
+        /**
+         * Identify a row or list item by a piece of its text that no other container
+         * of the same role holds. Rows are named by their content, so the text is
+         * matched as part of the name; other containers filter by it.
+         * @param {Element} row - Repeated container
+         * @param {string} role - Container role
+         * @param {Element} element - Element inside the container, whose own text is left out
+         * @param {Array<{element: Element, text: string}>|null} rowTexts - Texts of every container of the role
+         * @returns {{element: Element, selector: string, locator: UserFacingLocator}|null} Anchor, or null
+         */
+        getRowAnchor(row, role, element, rowTexts) {
+            if (!rowTexts) return null;
+            
+            const walker = row.ownerDocument.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+            const tried = [];
+            
+            // A few distinct texts are enough to tell a row apart
+            while (walker.nextNode() && tried.length < 5) {
+                const text = this.normalizeText(walker.currentNode.textContent);
+                if (!text || text.length > this.maxTextLength || element.contains(walker.currentNode) || tried.includes(text)) {
+                    continue;
+                }
+                tried.push(text);
+                
+                const lowerText = text.toLowerCase();
+                const holders = rowTexts.filter(candidate => candidate.text.includes(lowerText));
+                if (holders.length !== 1 || holders[0].element !== row) continue;
+                
+                return role === 'row'
+                    ? { element: row, selector: `role=row[name=${this.quote(text)}]`, locator: { method: 'getByRole', role: role, name: text } }
+                    : { element: row, selector: `role=${role} >> internal:has-text=${this.quote(text)}i`, locator: { method: 'getByRole', role: role, hasText: text } };
+            }
+            return null;
+        }
+
+        /**
+         * Create the unique, slightly less confident version of a candidate. The penalty
+         * lowers its ranking score; its confidence stays within the strategy's range.
+         * @param {SelectorCandidate} candidate - Non-unique candidate
+         * @param {string} selector - Refined Playwright selector
+         * @param {string} refinement - filter, scope or nth
+         * @param {Object} [options] - hasText or nth, added to the user-facing locator or to the candidate
+         * @returns {SelectorCandidate} Refined candidate
+         */
+        createRefinement(candidate, selector, refinement, options = null) {
+            const baseScore = 'score' in candidate ? candidate.score : candidate.confidence;
+            const score = Math.round((baseScore - this.refinementPenalties[refinement]) * 100) / 100;
+            const range = this.confidenceRanges[candidate.strategy];
+            const refined = Object.assign({}, candidate, {
+                selector: selector,
+                confidence: Math.max(range.min, score),
+                score: score,
+                matchCount: 1,
+                refinement: refinement,
+                refines: candidate.selector,
+                positional: Boolean(candidate.positional) || refinement === 'nth'
+            });
+            
+            if (candidate.locator) {
+                refined.locator = Object.assign({}, candidate.locator, options);
+            } else if (refinement === 'filter') {
+                refined.filter = options;
+            } else if (refinement === 'nth') {
+                refined.nth = options.nth;
+            }
+            return refined;
+        }
+
+        /**
+         * Find the elements a user-facing locator matches
+         * @param {UserFacingLocator} locator - Locator to evaluate
+         * @param {Element[]} elements - Every element of the document
+         * @param {boolean} exact - Whether to match names and texts exactly
+         * @returns {Element[]} Matching elements
+         */
+        findLocatorMatches(locator, elements, exact) {
+            const textMatches = text => {
+                const normalized = this.normalizeText(text || '');
+                return exact ? normalized === locator.text || normalized === locator.name
+                    : normalized.toLowerCase().includes((locator.text || locator.name || '').toLowerCase());
+            };
+            
+            switch (locator.method) {
+                case 'getByTestId':
+                    return elements.filter(candidate => candidate.getAttribute(locator.attribute || 'data-testid') === locator.text);
+                case 'getByRole':
+                    return elements.filter(candidate => this.getRole(candidate) === locator.role &&
+                        (!locator.name || textMatches(this.getAccessibleName(candidate))));
+                case 'getByLabel':
+                    return elements.filter(candidate => textMatches(this.getLabelText(candidate)));
+                case 'getByPlaceholder':
+                    return elements.filter(candidate => candidate.hasAttribute('placeholder') &&
+                        textMatches(candidate.getAttribute('placeholder')));
+                case 'getByText':
+                    // Only the innermost elements holding the text match, not all their ancestors
+                    return elements.filter(candidate => textMatches(this.getText(candidate)) &&
+                        !Array.from(candidate.children).some(child => textMatches(this.getText(child))) &&
+                        !this.isHiddenFromNames(candidate));
+                default:
+                    return [];
+            }
+        }
+
+        /**
+         * Get an element's stable classes, leaving out Enscriber's own
+         * @param {Element} element - Target element
+         * @returns {string[]} Class names
+         */
+        getClasses(element) {
+            return EnscribeUtils.getClassName(element).split(/\s+/)
+                .filter(name => name && !name.startsWith('enscriber-') && this.isStableToken(name));
+        }
+
+        /**
+         * Build a CSS path from the closest ancestor with a stable ID, or from the body
+         * @param {Element} element - Target element
+         * @returns {string} Child-combinator CSS path
+         */
+        getCssPath(element) {
+            const parts = [];
+            let current = element;
+            
+            while (current && current.nodeType === Node.ELEMENT_NODE) {
+                if (current !== element && current.id && this.isStableToken(current.id)) {
+                    parts.unshift(`#${CSS.escape(current.id)}`);
+                    break;
+                }
+                
+                const tagName = current.tagName.toLowerCase();
+                if (tagName === 'body') {
+                    parts.unshift('body');
+                    break;
+                }
+                
+                const parent = current.parentElement;
+                const sameTagSiblings = parent
+                    ? Array.from(parent.children).filter(sibling => sibling.tagName === current.tagName)
+                    : [];
+                parts.unshift(sameTagSiblings.length > 1
+                    ? `${tagName}:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`
+                    : tagName);
+                
+                current = parent;
+            }
+            
+            return parts.join(' > ');
+        }
+
+        /**
+         * Build a positional XPath from an ancestor, or an absolute one from the root
+         * @param {Element} element - Target element
+         * @param {Element} [ancestor] - Ancestor the path is relative to
+         * @returns {string} XPath
+         */
+        getPositionalXPath(element, ancestor = null) {
+            const parts = [];
+            let current = element;
+            
+            while (current && current.nodeType === Node.ELEMENT_NODE && current !== ancestor) {
+                let index = 1;
+                let sibling = current.previousElementSibling;
+                
+                while (sibling) {
+                    if (sibling.tagName === current.tagName) {
+                        index++;
+                    }
+                    sibling = sibling.previousElementSibling;
+                }
+                
+                const tagName = current.tagName.toLowerCase();
+                const part = index > 1 ? `${tagName}[${index}]` : tagName;
+                parts.unshift(part);
+                
+                current = current.parentElement;
+            }
+            
+            return '/' + parts.join('/');
+        }
+
+        /**
+         * Get an element's whitespace-normalized text content
+         * @param {Element} element - Target element
+         * @returns {string} Text
+         */
+        getText(element) {
+            return this.remember('text', element, () => this.normalizeText(element.textContent || ''));
+        }
+
+        /**
+         * Collapse whitespace the way Playwright's text matching does
+         * @param {string} text - Raw text
+         * @returns {string} Normalized text
+         */
+        normalizeText(text) {
+            return text.replace(/\s+/g, ' ').trim();
+        }
+
+        /**
+         * Quote a value for use in a selector
+         * @param {string} value - Attribute value or text
+         * @returns {string} Double-quoted, escaped value
+         */
+        quote(value) {
+            return `"${value.replace(/["\\]/g, '\\$&')}"`;
+        }
+    }
+
+    // ============================================================================
+    // RECORDING ENGINE
+    // ============================================================================
+
+    /**
+     * Manages recording modes and basic recording functionality
+     */
+    class RecordingEngine {
+        constructor(stateManager, elementSelector, highlighter) {
+            this.stateManager = stateManager;
+            this.elementSelector = elementSelector;
+            this.highlighter = highlighter;
+            this.networkMonitor = new NetworkRequestMonitor(stateManager);
+            this.autoRecorder = new AutoRecorder(stateManager, elementSelector, highlighter);
+            this.navigationRecorder = new NavigationRecorder(stateManager);
+            this.dialogRecorder = new DialogRecorder(stateManager, elementSelector);
+            this.popupRecorder = new PopupRecorder(stateManager, elementSelector);
+            this.frameRecorder = new FrameRecorder(stateManager, [this.autoRecorder, elementSelector], elementSelector.selectorGenerator);
+            this.recordingMode = ENSCRIBER_CONFIG.modes.INACTIVE;
+            this.isRecording = false;
+            this.recordedActions = [];
+            
+            // Persist the in-progress session without serializing on every keystroke
+            this.saveActiveSession = EnscribeUtils.debounce(() => {
+                if (this.isRecording) {
+                    this.stateManager.saveActiveSession();
+                }
+            }, 300);
+            
+            // Set up state listeners
+            this.setupStateListeners();
+        }
+
+        /**
+         * Set up state change listeners
+         */
+        setupStateListeners() {
+            this.stateManager.addListener('recording', (newState, prevState) => {
+                if (newState.mode !== prevState.mode) {
+                    this.handleModeChange(newState.mode, prevState.mode);
+                }
+                
+                if (this.isRecording && newState.currentSession !== prevState.currentSession) {
+                    this.saveActiveSession();
+                }
+                
+                // Switch live recordings over when the configured mode changes
+                if (newState.settings.recordingMode !== prevState.settings.recordingMode &&
+                    (newState.mode === ENSCRIBER_CONFIG.modes.MANUAL_SELECTION ||
+                     newState.mode === ENSCRIBER_CONFIG.modes.AUTO_RECORDING)) {
+                    this.stateManager.setState({ mode: this.getConfiguredMode() });
+                }
+            });
+        }
+
+        /**
+         * Handle recording mode changes
+         * @param {string} newMode - New recording mode
+         * @param {string} prevMode - Previous recording mode
+         */
+        handleModeChange(newMode, prevMode) {
+            console.log(`Enscriber: Recording mode changed from ${prevMode} to ${newMode}`);
+            
+            this.recordingMode = newMode;
+            
+            switch (newMode) {
+                case ENSCRIBER_CONFIG.modes.MANUAL_SELECTION:
+                    this.startManualSelection();
+                    break;
+                case ENSCRIBER_CONFIG.modes.AUTO_RECORDING:
+                    this.startAutoRecording();
+                    break;
+                case ENSCRIBER_CONFIG.modes.PAUSED:
+                    this.pauseRecording();
+                    break;
+                case ENSCRIBER_CONFIG.modes.INACTIVE:
+                    this.stopRecording();
+                    break;
+            }
+        }
+
+        /**
+         * Start manual selection mode
+         */
+        startManualSelection() {
+            // Only start a new session when not resuming or switching modes
+            if (!this.isRecording) {
+                this.initializeSession();
+            }
+            this.autoRecorder.stop();
+            this.elementSelector.enableSelectionMode();
+            this.navigationRecorder.start();
+            this.dialogRecorder.start();
+            this.popupRecorder.start();
+            this.frameRecorder.start();
+            this.networkMonitor.startMonitoring();
+            this.isRecording = true;
+            this.stateManager.saveActiveRecording(ENSCRIBER_CONFIG.modes.MANUAL_SELECTION);
+        }
+
+        /**
+         * Start auto recording mode
+         */
+        startAutoRecording() {
+            // Only start a new session when not resuming or switching modes
+            if (!this.isRecording) {
+                this.initializeSession();
+            }
+            this.elementSelector.disableSelectionMode();
+            this.autoRecorder.start();
+            this.navigationRecorder.start();
+            this.dialogRecorder.start();
+            this.popupRecorder.start();
+            this.frameRecorder.start();
+            this.networkMonitor.startMonitoring();
+            this.isRecording = true;
+            this.stateManager.saveActiveRecording(ENSCRIBER_CONFIG.modes.AUTO_RECORDING);
+        }
+
+        /**
+         * Pause recording
+         */
+        pauseRecording() {
+            this.elementSelector.disableSelectionMode();
+            this.autoRecorder.stop();
+            // Keep marking unloads so the paused recording continues on the next page load
+            this.navigationRecorder.pause();
+            this.dialogRecorder.stop();
+            this.popupRecorder.stop();
+            this.frameRecorder.stop();
+            this.networkMonitor.stopMonitoring();
+            // Keep isRecording true but disable interactions
+        }
+
+        /**
+         * Stop recording
+         */
+        stopRecording() {
+            this.elementSelector.disableSelectionMode();
+            this.autoRecorder.stop();
+            this.navigationRecorder.stop();
+            this.dialogRecorder.stop();
+            this.popupRecorder.stop();
+            this.frameRecorder.stop();
+            this.networkMonitor.stopMonitoring();
+            this.isRecording = false;
+            
+            // The recording no longer continues on the next page load
+            this.stateManager.clearActiveRecording();
+            
+            // Save current session if it exists, but keep it in state for persistence
+            const currentState = this.stateManager.getState();
+            if (currentState.currentSession) {
+                const sessionData = {
+                    ...currentState.currentSession,
+                    endTime: Date.now()
+                };
+                
                 // Save session to storage
                 try {
                     const key = `${ENSCRIBER_CONFIG.storage.prefix}session_${sessionData.id}`;
@@ -1115,102 +3380,2910 @@
                     console.error('Enscriber: Failed to save session:', error);
                 }
                 
-                // Keep the session in state so actions persist until manually cleared
-                this.stateManager.setState({
-                    currentSession: sessionData
+                // Keep the session in state so actions persist until manually cleared
+                this.stateManager.setState({
+                    currentSession: sessionData
+                });
+            }
+        }
+
+        /**
+         * Toggle recording between inactive and the configured recording mode
+         */
+        toggleRecording() {
+            const currentState = this.stateManager.getState();
+            
+            if (currentState.mode === ENSCRIBER_CONFIG.modes.INACTIVE) {
+                // Start recording
+                this.stateManager.setState({
+                    mode: this.getConfiguredMode(),
+                    isRecording: true
+                });
+            } else {
+                // Stop recording
+                this.stateManager.setState({
+                    mode: ENSCRIBER_CONFIG.modes.INACTIVE,
+                    isRecording: false
+                });
+            }
+        }
+
+        /**
+         * Reattach to a recording that was in progress when the previous page unloaded
+         * @returns {boolean} Whether a recording was resumed
+         */
+        restoreActiveRecording() {
+            const pendingNavigation = this.navigationRecorder.getPendingNavigation();
+            const activeRecording = this.stateManager.loadActiveRecording();
+            
+            // Only the page load that directly follows a recorded unload continues the session
+            if (!pendingNavigation || !activeRecording ||
+                pendingNavigation.sessionId !== activeRecording.session.id) {
+                return this.restorePopupRecording();
+            }
+            
+            // A recording paused when the previous page unloaded stays paused
+            this.resumeActiveRecording(pendingNavigation.paused
+                ? { ...activeRecording, mode: ENSCRIBER_CONFIG.modes.PAUSED }
+                : activeRecording);
+            this.navigationRecorder.completePendingNavigation(pendingNavigation);
+            return true;
+        }
+
+        /**
+         * Join a recording whose page opened this one as a popup or new tab
+         * @returns {boolean} Whether a recording was joined
+         */
+        restorePopupRecording() {
+            const pendingPopup = this.popupRecorder.getPendingPopup();
+            // Popups may open on another origin than the recording started on
+            const activeRecording = this.stateManager.loadActiveRecording(true);
+            
+            if (!pendingPopup || !activeRecording || !this.popupRecorder.isOpenedBy(pendingPopup, activeRecording.session)) {
+                return false;
+            }
+            
+            this.popupRecorder.claimPendingPopup(pendingPopup);
+            this.resumeActiveRecording(activeRecording);
+            return true;
+        }
+
+        /**
+         * Continue an active recording in this page
+         * @param {{mode: string, session: SessionData}} activeRecording - Recording to continue
+         */
+        resumeActiveRecording(activeRecording) {
+            // Mark as recording first so the mode change does not start a new session
+            this.isRecording = true;
+            this.stateManager.setState({
+                currentSession: activeRecording.session,
+                mode: activeRecording.mode,
+                isRecording: true,
+                isPaused: activeRecording.mode === ENSCRIBER_CONFIG.modes.PAUSED,
+                selectedElement: null
+            });
+            
+            console.log(`Enscriber: Resumed session ${activeRecording.session.id} as ${this.stateManager.pageAlias} with ${activeRecording.session.actions.length} actions`);
+        }
+
+        /**
+         * Reload the in-progress session, which other pages of the recording may have extended
+         * @returns {boolean} Whether the recording is still active
+         */
+        reloadActiveSession() {
+            const session = this.stateManager.getState().currentSession;
+            const activeRecording = this.stateManager.loadActiveRecording(true);
+            
+            if (!session || !activeRecording || activeRecording.session.id !== session.id) {
+                return false;
+            }
+            
+            this.stateManager.setState({ currentSession: activeRecording.session });
+            return true;
+        }
+
+        /**
+         * Get the recording mode selected in settings
+         * @returns {string} Manual selection or auto recording mode
+         */
+        getConfiguredMode() {
+            const settings = this.stateManager.getState().settings;
+            return settings.recordingMode === 'manual'
+                ? ENSCRIBER_CONFIG.modes.MANUAL_SELECTION
+                : ENSCRIBER_CONFIG.modes.AUTO_RECORDING;
+        }
+
+        /**
+         * Get current recording mode
+         * @returns {string} Current recording mode
+         */
+        getRecordingMode() {
+            return this.recordingMode;
+        }
+
+        /**
+         * Check if currently recording
+         * @returns {boolean} Whether currently recording
+         */
+        isCurrentlyRecording() {
+            return this.isRecording;
+        }
+
+        /**
+         * Get recorded actions
+         * @returns {Array} Array of recorded actions
+         */
+        getRecordedActions() {
+            return [...this.recordedActions];
+        }
+
+        /**
+         * Clear recorded actions
+         */
+        clearRecordedActions() {
+            this.recordedActions = [];
+        }
+
+        /**
+         * Initialize a new recording session
+         */
+        initializeSession() {
+            const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const sessionData = {
+                id: sessionId,
+                name: `Session ${new Date().toLocaleString()}`,
+                url: window.location.href,
+                startTime: Date.now(),
+                actions: [],
+                settings: { ...this.stateManager.getState().settings },
+                metadata: {
+                    userAgent: navigator.userAgent,
+                    viewport: {
+                        width: window.innerWidth,
+                        height: window.innerHeight
+                    }
+                }
+            };
+
+            this.stateManager.setState({
+                currentSession: sessionData
+            });
+
+            console.log(`Enscriber: Initialized session ${sessionId}`);
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stopRecording();
+            if (this.autoRecorder) {
+                this.autoRecorder.destroy();
+            }
+            if (this.navigationRecorder) {
+                this.navigationRecorder.destroy();
+            }
+            if (this.dialogRecorder) {
+                this.dialogRecorder.destroy();
+            }
+            if (this.popupRecorder) {
+                this.popupRecorder.destroy();
+            }
+            if (this.frameRecorder) {
+                this.frameRecorder.destroy();
+            }
+            if (this.networkMonitor) {
+                this.networkMonitor.destroy();
+            }
+            this.recordedActions = [];
+        }
+    }
+
+    // ============================================================================
+    // AUTO RECORDING
+    // ============================================================================
+
+    /**
+     * Passively records user interactions while letting the page behave normally
+     */
+    class AutoRecorder {
+        constructor(stateManager, elementSelector, highlighter) {
+            this.stateManager = stateManager;
+            this.elementSelector = elementSelector;
+            this.highlighter = highlighter;
+            this.isActive = false;
+            this.typingCoalescer = new TypingCoalescer(stateManager);
+            this.dragTracker = new DragTracker();
+            this.hoverTracker = new HoverTracker(elementSelector);
+            this.lastRecordedElement = null;
+            this.lastEnterKey = null;
+            // File input whose chooser a click opened, with the recorded click that opened it indirectly
+            this.chooserOpening = null;
+            this.flashTimeout = null;
+            // Documents listened to; same-origin frame documents are added while recording
+            this.documents = new Set([document]);
+            
+            // Keys recorded on their own; anything else only as part of a modifier chord
+            this.recordedKeys = ['Enter', 'Tab', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+            this.modifierKeys = ['Control', 'Meta', 'Alt', 'Shift', 'AltGraph', 'CapsLock'];
+            
+            // Editing chords in text fields are covered by the fill action
+            this.fillEditingKeys = ['A', 'C', 'V', 'X', 'Z', 'Y', 'Backspace', 'Delete'];
+            
+            // Rich text editors replay typing key by key, so deletions are presses of their own
+            this.richTextEditingKeys = ['Backspace', 'Delete'];
+            
+            // Clipboard chords are recorded through their clipboard events
+            this.clipboardKeys = ['C', 'V', 'X'];
+            // Paste recorded for a field whose following input event it already covers
+            this.lastPaste = null;
+            
+            // Elements that already carry their own action type when clicked
+            this.clickTargetSelector = 'a, button, input, select, textarea, label, summary, ' +
+                '[role="button"], [role="link"], [role="menuitem"], [role="tab"], [role="option"], [onclick]';
+            
+            // Bind event handlers
+            this.handleClick = this.handleClick.bind(this);
+            this.handleDoubleClick = this.handleDoubleClick.bind(this);
+            this.handleContextMenu = this.handleContextMenu.bind(this);
+            this.handleInput = this.handleInput.bind(this);
+            this.handleChange = this.handleChange.bind(this);
+            this.handleSubmit = this.handleSubmit.bind(this);
+            this.handleKeyDown = this.handleKeyDown.bind(this);
+            this.handleFocusIn = this.handleFocusIn.bind(this);
+            this.handleMouseDown = this.handleMouseDown.bind(this);
+            this.handleMouseMove = EnscribeUtils.throttle(this.handleMouseMove.bind(this), 16);
+            this.handleMouseUp = this.handleMouseUp.bind(this);
+            this.handleMouseOver = this.handleMouseOver.bind(this);
+            this.handleDragStart = this.handleDragStart.bind(this);
+            this.handleDrop = this.handleDrop.bind(this);
+            this.handleDragEnd = this.handleDragEnd.bind(this);
+            this.handlePaste = this.handlePaste.bind(this);
+            this.handleCopy = this.handleCopy.bind(this);
+        }
+
+        /**
+         * Start listening for user interactions
+         */
+        start() {
+            if (this.isActive) return;
+            
+            this.isActive = true;
+            this.documents.forEach(doc => this.attachListeners(doc));
+            
+            console.log('Enscriber: Auto recording started');
+        }
+
+        /**
+         * Stop listening for user interactions
+         */
+        stop() {
+            if (!this.isActive) return;
+            
+            this.isActive = false;
+            this.documents.forEach(doc => this.detachListeners(doc));
+            
+            this.typingCoalescer.reset();
+            this.dragTracker.reset();
+            this.hoverTracker.reset();
+            this.lastRecordedElement = null;
+            this.lastEnterKey = null;
+            this.chooserOpening = null;
+            
+            console.log('Enscriber: Auto recording stopped');
+        }
+
+        /**
+         * Record interactions in another document, such as a same-origin frame
+         * @param {Document} doc - Document to record
+         */
+        addDocument(doc) {
+            if (this.documents.has(doc)) return;
+            
+            this.documents.add(doc);
+            if (this.isActive) {
+                this.attachListeners(doc);
+            }
+        }
+
+        /**
+         * Stop recording interactions in a document
+         * @param {Document} doc - Document to forget
+         */
+        removeDocument(doc) {
+            if (!this.documents.delete(doc)) return;
+            
+            if (this.isActive) {
+                this.detachListeners(doc);
+            }
+        }
+
+        /**
+         * Add interaction listeners to a document
+         * @param {Document} doc - Document to listen to
+         */
+        attachListeners(doc) {
+            // Capture phase so page handlers cannot hide events from us
+            doc.addEventListener('click', this.handleClick, true);
+            doc.addEventListener('dblclick', this.handleDoubleClick, true);
+            doc.addEventListener('contextmenu', this.handleContextMenu, true);
+            doc.addEventListener('input', this.handleInput, true);
+            doc.addEventListener('change', this.handleChange, true);
+            doc.addEventListener('submit', this.handleSubmit, true);
+            doc.addEventListener('keydown', this.handleKeyDown, true);
+            doc.addEventListener('focusin', this.handleFocusIn, true);
+            doc.addEventListener('mousedown', this.handleMouseDown, true);
+            doc.addEventListener('mousemove', this.handleMouseMove, true);
+            doc.addEventListener('mouseup', this.handleMouseUp, true);
+            doc.addEventListener('dragstart', this.handleDragStart, true);
+            doc.addEventListener('drop', this.handleDrop, true);
+            doc.addEventListener('dragend', this.handleDragEnd, true);
+            doc.addEventListener('paste', this.handlePaste, true);
+            doc.addEventListener('copy', this.handleCopy, true);
+            doc.addEventListener('cut', this.handleCopy, true);
+            doc.addEventListener('mouseover', this.handleMouseOver, true);
+            this.hoverTracker.observe(doc);
+        }
+
+        /**
+         * Remove interaction listeners from a document
+         * @param {Document} doc - Document to stop listening to
+         */
+        detachListeners(doc) {
+            doc.removeEventListener('click', this.handleClick, true);
+            doc.removeEventListener('dblclick', this.handleDoubleClick, true);
+            doc.removeEventListener('contextmenu', this.handleContextMenu, true);
+            doc.removeEventListener('input', this.handleInput, true);
+            doc.removeEventListener('change', this.handleChange, true);
+            doc.removeEventListener('submit', this.handleSubmit, true);
+            doc.removeEventListener('keydown', this.handleKeyDown, true);
+            doc.removeEventListener('focusin', this.handleFocusIn, true);
+            doc.removeEventListener('mousedown', this.handleMouseDown, true);
+            doc.removeEventListener('mousemove', this.handleMouseMove, true);
+            doc.removeEventListener('mouseup', this.handleMouseUp, true);
+            doc.removeEventListener('dragstart', this.handleDragStart, true);
+            doc.removeEventListener('drop', this.handleDrop, true);
+            doc.removeEventListener('dragend', this.handleDragEnd, true);
+            doc.removeEventListener('paste', this.handlePaste, true);
+            doc.removeEventListener('copy', this.handleCopy, true);
+            doc.removeEventListener('cut', this.handleCopy, true);
+            doc.removeEventListener('mouseover', this.handleMouseOver, true);
+        }
+
+        /**
+         * Handle click events
+         * @param {MouseEvent} event - Click event
+         */
+        handleClick(event) {
+            // File inputs open their chooser on any click, including ones page scripts dispatch
+            const target = EnscribeUtils.getComposedTarget(event);
+            if (this.isRecordable(target) && this.elementSelector.detectActionType(target) === 'upload') {
+                this.noteChooserOpening(target, event);
+                return;
+            }
+            
+            // Ignore clicks dispatched by page scripts
+            if (!event.isTrusted) return;
+            
+            // The click that ends a pointer drag is part of the recorded drag
+            if (this.dragTracker.consumeClick()) return;
+            
+            const element = this.resolveClickTarget(target);
+            if (!element || this.elementSelector.isExcludedElement(element)) return;
+            
+            // Form controls are recorded through input/change events instead
+            if (this.elementSelector.detectActionType(element) !== 'click') return;
+            
+            // Labels toggle their control, which reports its own change event
+            if (element.tagName.toLowerCase() === 'label' && element.control &&
+                this.elementSelector.detectActionType(element.control) !== 'click') {
+                return;
+            }
+            
+            // The recorded Enter press replays the click implicit submission fires
+            if (this.isImplicitSubmissionClick(element, event)) return;
+            
+            const actionRecord = this.recordAction(
+                element,
+                'click',
+                this.elementSelector.getElementValue(element, 'click'),
+                this.elementSelector.getClickDetails(event, element)
+            );
+            this.elementSelector.rememberClick(element, actionRecord.id);
+        }
+
+        /**
+         * Check whether a click is the one the browser fires on a form's default button
+         * when Enter is pressed in one of its fields
+         * @param {Element} element - Clicked element
+         * @param {MouseEvent} event - Click event
+         * @returns {boolean} Whether the click follows the last Enter press
+         */
+        isImplicitSubmissionClick(element, event) {
+            const enterKey = this.lastEnterKey;
+            if (event.detail !== 0 || !enterKey || Date.now() - enterKey.timestamp >= 1000) return false;
+            
+            const form = element.form;
+            return !!form && form.contains(enterKey.element) && ['submit', 'image'].includes(element.type);
+        }
+
+        /**
+         * Handle double-click events, replacing the two clicks they consist of
+         * @param {MouseEvent} event - Double-click event
+         */
+        handleDoubleClick(event) {
+            if (!event.isTrusted) return;
+            
+            const element = this.resolveClickTarget(EnscribeUtils.getComposedTarget(event));
+            if (!element || this.elementSelector.isExcludedElement(element)) return;
+            
+            // Double-clicking a field selects a word, which is not worth replaying
+            if (this.elementSelector.detectActionType(element) !== 'click') return;
+            
+            this.elementSelector.removeClicksOf(element);
+            this.recordAction(
+                element,
+                'dblclick',
+                this.elementSelector.getElementValue(element, 'click'),
+                this.elementSelector.getClickDetails(event, element)
+            );
+        }
+
+        /**
+         * Handle context menu events from right clicks
+         * @param {MouseEvent} event - Context menu event
+         */
+        handleContextMenu(event) {
+            // Keyboard-opened context menus report button 0
+            if (!event.isTrusted || event.button !== 2) return;
+            
+            const element = this.resolveClickTarget(EnscribeUtils.getComposedTarget(event));
+            if (!element || this.elementSelector.isExcludedElement(element)) return;
+            
+            this.recordAction(
+                element,
+                'rightclick',
+                this.elementSelector.getElementValue(element, 'click'),
+                this.elementSelector.getClickDetails(event, element)
+            );
+        }
+
+        /**
+         * Handle input events from text fields
+         * @param {InputEvent} event - Input event
+         */
+        handleInput(event) {
+            const target = EnscribeUtils.getComposedTarget(event);
+            if (!this.isRecordable(target)) return;
+            if (this.elementSelector.detectActionType(target) !== 'input') return;
+            
+            const editableRoot = this.elementSelector.getEditableRoot(target);
+            
+            // The text a paste inserted is recorded by the paste action, which fills the
+            // whole field when the field held other text besides
+            if (event.inputType === 'insertFromPaste' && this.lastPaste &&
+                this.lastPaste.element === (editableRoot || target)) {
+                const paste = this.lastPaste;
+                this.lastPaste = null;
+                const fieldValue = this.elementSelector.getElementValue(paste.element, 'input');
+                if (!paste.redacted && fieldValue !== paste.text) {
+                    this.stateManager.updateAction(paste.actionId, { fieldValue: fieldValue });
+                }
+                return;
+            }
+            
+            if (editableRoot && this.elementSelector.isRichTextEditor(editableRoot)) {
+                this.recordRichTextInput(editableRoot, event);
+                return;
+            }
+            const element = editableRoot || target;
+            
+            // Keystrokes into the field currently being typed into update its fill action
+            const value = this.elementSelector.getElementValue(element, 'input');
+            if (this.typingCoalescer.merge(element, value)) return;
+            
+            const actionRecord = this.recordAction(element, 'input', value);
+            this.typingCoalescer.begin(element, actionRecord.id);
+        }
+
+        /**
+         * Record text typed into a rich text editor.
+         * Editors rewrite their DOM on every keystroke and keep formatting state,
+         * so only the inserted text is recorded and replayed with pressSequentially;
+         * Enter, deletions and formatting shortcuts are recorded as key presses.
+         * @param {Element} element - Editable root of the editor
+         * @param {InputEvent} event - Input event
+         */
+        recordRichTextInput(element, event) {
+            if (event.isComposing || !(event.inputType || '').startsWith('insert')) return;
+            
+            // A sensitive editor's typing is one placeholder, however many keys were typed
+            if (this.elementSelector.isSensitiveField(element)) {
+                if (this.typingCoalescer.getActiveAction(element)) return;
+                const actionRecord = this.recordAction(element, 'input', this.elementSelector.redactedText);
+                this.typingCoalescer.begin(element, actionRecord.id);
+                return;
+            }
+            
+            let text = event.data;
+            if (text === null && event.dataTransfer) {
+                text = event.dataTransfer.getData('text/plain');
+            }
+            if (!text) return;
+            
+            const activeAction = this.typingCoalescer.getActiveAction(element);
+            if (activeAction && this.typingCoalescer.merge(element, activeAction.value + text)) return;
+            
+            const actionRecord = this.recordAction(element, 'input', text);
+            this.typingCoalescer.begin(element, actionRecord.id);
+        }
+
+        /**
+         * Handle paste events, recording the pasted clipboard text
+         * @param {ClipboardEvent} event - Paste event
+         */
+        handlePaste(event) {
+            const target = EnscribeUtils.getComposedTarget(event);
+            if (!event.isTrusted || !this.isRecordable(target) || !event.clipboardData) return;
+            
+            const text = event.clipboardData.getData('text/plain');
+            if (!text) return;
+            
+            const isField = this.elementSelector.detectActionType(target) === 'input';
+            const element = this.elementSelector.getEditableRoot(target) || target;
+            const redacted = this.elementSelector.isSensitiveField(element);
+            
+            const details = redacted ? { redacted: true } : {};
+            if (!isField) {
+                // Only the page's own paste handler reacts here, which needs a real clipboard
+                details.inputMethod = 'clipboard';
+            }
+            
+            const actionRecord = this.recordAction(element, 'paste', redacted ? this.elementSelector.redactedText : text, details);
+            this.lastPaste = isField
+                ? { element: element, actionId: actionRecord.id, text: text, redacted: redacted }
+                : null;
+        }
+
+        /**
+         * Handle copy and cut events, recording the copied text
+         * @param {ClipboardEvent} event - Copy or cut event
+         */
+        handleCopy(event) {
+            const target = EnscribeUtils.getComposedTarget(event);
+            if (!event.isTrusted || !this.isRecordable(target)) return;
+            
+            const element = this.elementSelector.getEditableRoot(target) || target;
+            const text = this.getSelectedText(target, event);
+            if (!text) return;
+            
+            const redacted = this.elementSelector.isSensitiveField(element);
+            this.recordAction(element, event.type, redacted ? this.elementSelector.redactedText : text, redacted ? { redacted: true } : {});
+        }
+
+        /**
+         * Get the text selected for a copy or cut
+         * @param {Element} target - Event target
+         * @param {ClipboardEvent} event - Copy or cut event
+         * @returns {string} Selected text
+         */
+        getSelectedText(target, event) {
+            // Text field selections are not part of the document selection
+            if (typeof target.selectionStart === 'number' && typeof target.value === 'string') {
+                return target.value.substring(target.selectionStart, target.selectionEnd);
+            }
+            return String((event.view || window).getSelection());
+        }
+
+        /**
+         * Handle focus changes, which end the current typing run
+         * @param {FocusEvent} event - Focus event
+         */
+        handleFocusIn(event) {
+            this.typingCoalescer.handleFocusChange(EnscribeUtils.getComposedTarget(event));
+        }
+
+        /**
+         * Handle change events from checkboxes, radios and selects
+         * @param {Event} event - Change event
+         */
+        handleChange(event) {
+            const element = EnscribeUtils.getComposedTarget(event);
+            if (!this.isRecordable(element)) return;
+            
+            const actionType = this.elementSelector.detectActionType(element);
+            if (actionType === 'upload') {
+                this.recordUpload(element);
+                return;
+            }
+            if (actionType !== 'check' && actionType !== 'select') return;
+            
+            // Each option toggled in a multiple select updates the one selection
+            const value = this.elementSelector.getElementValue(element, actionType);
+            if (actionType === 'select' && element.multiple && element === this.lastRecordedElement) {
+                const session = this.stateManager.getState().currentSession;
+                const lastAction = session.actions[session.actions.length - 1];
+                if (lastAction && lastAction.type === 'select') {
+                    this.stateManager.updateAction(lastAction.id, {
+                        value: value,
+                        options: this.elementSelector.getSelectedOptions(element),
+                        timestamp: Date.now()
+                    });
+                    return;
+                }
+            }
+            
+            this.recordAction(element, actionType, value);
+        }
+
+        /**
+         * Record files chosen in a file input
+         * @param {HTMLInputElement} element - File input
+         */
+        recordUpload(element) {
+            const actionRecord = this.elementSelector.createActionRecord(
+                element,
+                'upload',
+                this.elementSelector.getElementValue(element, 'upload')
+            );
+            
+            // A styled button that opened the chooser through a hidden input was recorded
+            // as a click; that click becomes the upload's trigger
+            const triggerAction = this.getChooserTriggerAction(element);
+            if (triggerAction) {
+                this.stateManager.updateAction(triggerAction.id, {
+                    type: 'upload',
+                    element: actionRecord.element,
+                    value: actionRecord.value,
+                    files: actionRecord.files,
+                    trigger: triggerAction.element,
+                    timestamp: Date.now()
+                });
+                this.lastRecordedElement = element;
+                console.log('Enscriber: Auto recorded indirect upload:', actionRecord.files);
+                return;
+            }
+            
+            this.stateManager.appendAction(actionRecord);
+            this.lastRecordedElement = element;
+            this.flashElement(element);
+            console.log('Enscriber: Auto recorded upload:', actionRecord);
+        }
+
+        /**
+         * Remember the click that opened a file input's chooser. A page script calling
+         * input.click() from the handler of a recorded click makes that click the trigger;
+         * the user's own click on the input or its label opens the input directly.
+         * @param {HTMLInputElement} element - File input
+         * @param {MouseEvent} event - Click event on the input
+         */
+        noteChooserOpening(element, event) {
+            const session = this.stateManager.getState().currentSession;
+            const actions = session ? session.actions : [];
+            const lastAction = actions[actions.length - 1];
+            const opener = this.lastRecordedElement;
+            
+            // Scripts may only open choosers shortly after the user activated the page
+            const isScriptOpened = !event.isTrusted && lastAction && lastAction.type === 'click' &&
+                Date.now() - lastAction.timestamp < 1000 && opener && opener !== element &&
+                !opener.contains(element) && !(opener.tagName.toLowerCase() === 'label' && opener.control === element);
+            
+            this.chooserOpening = {
+                element: element,
+                triggerActionId: isScriptOpened ? lastAction.id : null
+            };
+        }
+
+        /**
+         * Find the recorded click that opened the file chooser for an input indirectly
+         * @param {HTMLInputElement} element - File input
+         * @returns {ActionRecord|null} Click action on another element
+         */
+        getChooserTriggerAction(element) {
+            const opening = this.chooserOpening;
+            this.chooserOpening = null;
+            if (!opening || opening.element !== element || !opening.triggerActionId) return null;
+            
+            const session = this.stateManager.getState().currentSession;
+            const triggerAction = session
+                ? session.actions.find(action => action.id === opening.triggerActionId)
+                : null;
+            return triggerAction && triggerAction.type === 'click' ? triggerAction : null;
+        }
+
+        /**
+         * Handle form submissions not already covered by a recorded click
+         * @param {SubmitEvent} event - Submit event
+         */
+        handleSubmit(event) {
+            const form = EnscribeUtils.getComposedTarget(event);
+            if (!this.isRecordable(form)) return;
+            
+            // Clicking the submit button replays the submission by itself
+            if (event.submitter && event.submitter === this.lastRecordedElement) return;
+            
+            // Implicit submission by pressing Enter in one of the form's fields
+            // is replayed by the recorded Enter press
+            const enterKey = this.lastEnterKey;
+            if (enterKey && form.contains(enterKey.element) && Date.now() - enterKey.timestamp < 1000) return;
+            
+            this.recordAction(form, 'submit', '');
+        }
+
+        /**
+         * Handle keydown events
+         * @param {KeyboardEvent} event - Keyboard event
+         */
+        handleKeyDown(event) {
+            const element = EnscribeUtils.getComposedTarget(event);
+            if (!this.isRecordable(element) || event.isComposing) return;
+            
+            const key = this.getKeyCombination(event);
+            if (!key || !this.shouldRecordKey(event, key)) return;
+            
+            this.recordAction(element, 'press', key);
+            
+            // Remember Enter presses so implicit form submissions are not recorded twice
+            if (event.key === 'Enter') {
+                this.lastEnterKey = { element: element, timestamp: Date.now() };
+            }
+        }
+
+        /**
+         * Handle mousedown events, which may start a pointer drag
+         * @param {MouseEvent} event - Mouse event
+         */
+        handleMouseDown(event) {
+            const element = EnscribeUtils.getComposedTarget(event);
+            if (!event.isTrusted || event.button !== 0 || !this.isRecordable(element)) return;
+            
+            // Selecting text inside a field is not a drag
+            if (this.elementSelector.detectActionType(element) === 'input' || element.isContentEditable) return;
+            
+            this.dragTracker.pointerDown(element, event);
+        }
+
+        /**
+         * Handle mousemove events while a pointer drag may be in progress
+         * @param {MouseEvent} event - Mouse event
+         */
+        handleMouseMove(event) {
+            this.dragTracker.pointerMove(event);
+        }
+
+        /**
+         * Handle mouseup events, which complete pointer drags
+         * @param {MouseEvent} event - Mouse event
+         */
+        handleMouseUp(event) {
+            const dropElement = this.getElementAtPoint(event) || EnscribeUtils.getComposedTarget(event);
+            const drag = this.dragTracker.pointerUp(dropElement, event);
+            
+            // Dragging across text only changes the selection
+            if (!drag || String((event.view || window).getSelection()).trim()) return;
+            if (drag.dropTarget && !this.isRecordable(drag.dropTarget)) return;
+            
+            this.recordDrag(drag);
+        }
+
+        /**
+         * Handle mouseover events, which start timing a hover dwell
+         * @param {MouseEvent} event - Mouse event
+         */
+        handleMouseOver(event) {
+            const dwellTime = this.stateManager.getState().settings.hoverDwellTime;
+            if (!event.isTrusted || !dwellTime) return;
+            
+            const element = this.resolveClickTarget(EnscribeUtils.getComposedTarget(event));
+            if (!this.isRecordable(element)) return;
+            
+            this.hoverTracker.pointerOver(element, dwellTime);
+        }
+
+        /**
+         * Record the hovers that revealed an element before acting on it
+         * @param {Element} element - Element about to be acted on
+         */
+        recordHoversFor(element) {
+            this.hoverTracker.takeHoversFor(element).forEach(hover => {
+                const actionRecord = this.elementSelector.createActionRecord(hover.element, 'hover', '');
+                actionRecord.timestamp = hover.timestamp;
+                this.stateManager.appendAction(actionRecord);
+                console.log('Enscriber: Auto recorded hover:', actionRecord);
+            });
+        }
+
+        /**
+         * Handle HTML5 dragstart events
+         * @param {DragEvent} event - Drag event
+         */
+        handleDragStart(event) {
+            const element = EnscribeUtils.getComposedTarget(event);
+            if (!this.isRecordable(element)) return;
+            this.dragTracker.nativeDragStart(element, event);
+        }
+
+        /**
+         * Handle HTML5 drop events
+         * @param {DragEvent} event - Drag event
+         */
+        handleDrop(event) {
+            const element = EnscribeUtils.getComposedTarget(event);
+            const drag = this.dragTracker.nativeDrop(element, event);
+            if (drag && this.isRecordable(element)) {
+                this.recordDrag(drag);
+            }
+        }
+
+        /**
+         * Handle HTML5 dragend events, which end cancelled drags
+         */
+        handleDragEnd() {
+            this.dragTracker.reset();
+        }
+
+        /**
+         * Record a completed drag
+         * @param {Object} drag - Drag description from the drag tracker
+         */
+        recordDrag(drag) {
+            this.recordHoversFor(drag.source);
+            
+            const actionRecord = this.elementSelector.createActionRecord(drag.source, 'drag', '');
+            actionRecord.dropTarget = drag.dropTarget
+                ? this.elementSelector.captureElementMetadata(drag.dropTarget)
+                : null;
+            actionRecord.drag = {
+                kind: drag.kind,
+                from: drag.from,
+                to: drag.to
+            };
+            
+            this.stateManager.appendAction(actionRecord);
+            this.lastRecordedElement = drag.source;
+            
+            this.flashElement(drag.dropTarget || drag.source);
+            console.log('Enscriber: Auto recorded drag:', actionRecord);
+        }
+
+        /**
+         * Get the element under the pointer, ignoring elements that captured it
+         * @param {MouseEvent} event - Mouse event
+         * @returns {Element|null} Element at the pointer position
+         */
+        getElementAtPoint(event) {
+            // Coordinates of events inside frames are relative to the frame's document
+            const doc = event.target.ownerDocument || document;
+            return EnscribeUtils.deepElementFromPoint(doc, event.clientX, event.clientY);
+        }
+
+        /**
+         * Build a Playwright key combination from a keyboard event
+         * @param {KeyboardEvent} event - Keyboard event
+         * @returns {string|null} Key combination such as 'Enter' or 'Control+A'
+         */
+        getKeyCombination(event) {
+            if (!event.key || this.modifierKeys.includes(event.key)) return null;
+            
+            let key = event.key;
+            if (/^Key[A-Z]$/.test(event.code)) {
+                // Use the physical key so Alt and Shift chords are not affected by layout
+                key = event.code.substring(3);
+            } else if (/^Digit[0-9]$/.test(event.code)) {
+                key = event.code.substring(5);
+            } else if (key === ' ') {
+                key = 'Space';
+            } else if (key.length === 1) {
+                key = key.toUpperCase();
+            }
+            
+            const modifiers = [];
+            if (event.ctrlKey) modifiers.push('Control');
+            if (event.metaKey) modifiers.push('Meta');
+            if (event.altKey) modifiers.push('Alt');
+            if (event.shiftKey) modifiers.push('Shift');
+            
+            return [...modifiers, key].join('+');
+        }
+
+        /**
+         * Decide whether a key press is worth recording
+         * @param {KeyboardEvent} event - Keyboard event
+         * @param {string} key - Key combination
+         * @returns {boolean} Whether to record the press
+         */
+        shouldRecordKey(event, key) {
+            const isChord = event.ctrlKey || event.metaKey || event.altKey;
+            const baseKey = key.split('+').pop();
+            
+            const target = EnscribeUtils.getComposedTarget(event);
+            const editableRoot = this.elementSelector.getEditableRoot(target);
+            const isRichText = editableRoot !== null && this.elementSelector.isRichTextEditor(editableRoot);
+            
+            // Arrow keys stepping a number, slider or date only change the value the fill replays
+            if (!isChord && event.key.startsWith('Arrow') && target.tagName.toLowerCase() === 'input' &&
+                this.elementSelector.isValueInputType((target.type || '').toLowerCase())) {
+                return false;
+            }
+            
+            // Enter or Space on a button or link is recorded as the click the browser fires for it
+            if (!isChord && this.isClickActivationKey(target, event.key)) {
+                return false;
+            }
+            
+            if (!isChord) {
+                return this.recordedKeys.includes(event.key) ||
+                    (isRichText && this.richTextEditingKeys.includes(event.key));
+            }
+            
+            // Enscriber's own panel shortcut
+            if (event.ctrlKey && event.shiftKey && baseKey === 'E') return false;
+            
+            // Copy, cut and paste are recorded with their text by the clipboard handlers
+            if ((event.ctrlKey || event.metaKey) && this.clipboardKeys.includes(baseKey)) return false;
+            
+            // Select-all, clipboard and undo inside a text field are replayed by page.fill;
+            // rich text editors keep them, like formatting shortcuts, as presses
+            if (!isRichText && this.elementSelector.detectActionType(target) === 'input' &&
+                this.fillEditingKeys.includes(baseKey)) {
+                return false;
+            }
+            
+            return true;
+        }
+
+        /**
+         * Check whether the browser activates an element with a click when a key is pressed on it
+         * @param {Element} element - Focused element
+         * @param {string} key - KeyboardEvent key
+         * @returns {boolean} Whether the key press fires a click
+         */
+        isClickActivationKey(element, key) {
+            const tagName = element.tagName.toLowerCase();
+            const type = (element.type || '').toLowerCase();
+            const isButton = tagName === 'button' || tagName === 'summary' ||
+                (tagName === 'input' && ['button', 'submit', 'reset', 'image'].includes(type));
+            
+            if (key === 'Enter') {
+                return isButton || (tagName === 'a' && element.hasAttribute('href'));
+            }
+            if (key === ' ') {
+                return isButton || (tagName === 'input' && ['checkbox', 'radio'].includes(type));
+            }
+            return false;
+        }
+
+        /**
+         * Resolve the element a click should be attributed to
+         * @param {Element} target - Original event target
+         * @returns {Element|null} Closest interactive ancestor or the target itself
+         */
+        resolveClickTarget(target) {
+            if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+            return target.closest(this.clickTargetSelector) || target;
+        }
+
+        /**
+         * Check whether an event target should be recorded
+         * @param {EventTarget} element - Event target
+         * @returns {boolean} Whether the element is recordable
+         */
+        isRecordable(element) {
+            return !!element &&
+                   element.nodeType === Node.ELEMENT_NODE &&
+                   !this.elementSelector.isExcludedElement(element);
+        }
+
+        /**
+         * Record an action for an element
+         * @param {Element} element - Target element
+         * @param {string} actionType - Type of action
+         * @param {string} value - Value associated with the action
+         * @param {Object} [details] - Additional action properties, such as click modifiers
+         * @returns {ActionRecord} The recorded action
+         */
+        recordAction(element, actionType, value, details = {}) {
+            this.recordHoversFor(element);
+            
+            const actionRecord = {
+                ...this.elementSelector.createActionRecord(element, actionType, value),
+                ...details
+            };
+            this.stateManager.appendAction(actionRecord);
+            this.lastRecordedElement = element;
+            
+            this.flashElement(element);
+            console.log('Enscriber: Auto recorded action:', actionRecord);
+            
+            return actionRecord;
+        }
+
+        /**
+         * Briefly highlight a recorded element
+         * @param {Element} element - Recorded element
+         */
+        flashElement(element) {
+            if (!this.stateManager.getState().settings.highlightElements) return;
+            
+            this.highlighter.highlightElement(element, 'recording');
+            clearTimeout(this.flashTimeout);
+            this.flashTimeout = setTimeout(() => {
+                if (this.highlighter.getCurrentElement() === element) {
+                    this.highlighter.hideHighlight();
+                }
+            }, 600);
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stop();
+            clearTimeout(this.flashTimeout);
+        }
+    }
+
+    /**
+     * Merges consecutive input events on the same field into a single fill action
+     */
+    class TypingCoalescer {
+        constructor(stateManager) {
+            this.stateManager = stateManager;
+            this.activeElement = null;
+            this.activeActionId = null;
+        }
+
+        /**
+         * Start a typing run for an element
+         * @param {Element} element - Field being typed into
+         * @param {string} actionId - ID of the input action recorded for the run
+         */
+        begin(element, actionId) {
+            this.activeElement = element;
+            this.activeActionId = actionId;
+        }
+
+        /**
+         * Merge a new field value into the active typing run.
+         * Because the action replays as page.fill, only the final value matters:
+         * clearing the field and retyping stays a single action.
+         * @param {Element} element - Field that received input
+         * @param {string} value - Current field value
+         * @returns {boolean} Whether the value was merged into an existing action
+         */
+        merge(element, value) {
+            if (!this.getActiveAction(element)) return false;
+            
+            return this.stateManager.updateAction(this.activeActionId, {
+                value: value,
+                timestamp: Date.now()
+            });
+        }
+
+        /**
+         * Get the action of the typing run in progress for an element
+         * @param {Element} element - Field that received input
+         * @returns {ActionRecord|null} Input action still open for merging
+         */
+        getActiveAction(element) {
+            if (!this.activeActionId || element !== this.activeElement) return null;
+            
+            // Any other action recorded since the run started splits it
+            const session = this.stateManager.getState().currentSession;
+            const actions = session ? session.actions : [];
+            const lastAction = actions[actions.length - 1];
+            if (!lastAction || lastAction.id !== this.activeActionId) {
+                this.reset();
+                return null;
+            }
+            
+            return lastAction;
+        }
+
+        /**
+         * End the typing run when focus moves to a different element
+         * @param {EventTarget} target - Newly focused element
+         */
+        handleFocusChange(target) {
+            if (target !== this.activeElement) {
+                this.reset();
+            }
+        }
+
+        /**
+         * End the active typing run
+         */
+        reset() {
+            this.activeElement = null;
+            this.activeActionId = null;
+        }
+    }
+
+    /**
+     * Tracks HTML5 and pointer-based drags from their start to their drop
+     */
+    class DragTracker {
+        constructor() {
+            // Minimum pointer travel in pixels before a press becomes a drag
+            this.dragThreshold = 5;
+            this.pending = null;
+            this.suppressClickUntil = 0;
+        }
+
+        /**
+         * Remember a mouse press that may become a drag
+         * @param {Element} element - Pressed element
+         * @param {MouseEvent} event - Mouse event
+         */
+        pointerDown(element, event) {
+            this.pending = {
+                kind: 'pointer',
+                source: element,
+                from: { x: event.clientX, y: event.clientY },
+                isDragging: false
+            };
+        }
+
+        /**
+         * Promote the pending press to a drag once the pointer moved far enough
+         * @param {MouseEvent} event - Mouse event
+         */
+        pointerMove(event) {
+            if (!this.pending || this.pending.kind !== 'pointer' || this.pending.isDragging) return;
+            
+            const deltaX = event.clientX - this.pending.from.x;
+            const deltaY = event.clientY - this.pending.from.y;
+            if (Math.sqrt(deltaX * deltaX + deltaY * deltaY) >= this.dragThreshold) {
+                this.pending.isDragging = true;
+            }
+        }
+
+        /**
+         * Complete a pointer drag
+         * @param {Element} dropElement - Element under the pointer on release
+         * @param {MouseEvent} event - Mouse event
+         * @returns {Object|null} Completed drag or null if the press was not a drag
+         */
+        pointerUp(dropElement, event) {
+            const pending = this.pending;
+            this.pending = null;
+            if (!pending || pending.kind !== 'pointer' || !pending.isDragging) return null;
+            
+            // The browser still fires a click after the release
+            this.suppressClickUntil = Date.now() + 100;
+            
+            return this.createDrag(pending, dropElement, event);
+        }
+
+        /**
+         * Start tracking an HTML5 drag
+         * @param {Element} element - Dragged element
+         * @param {DragEvent} event - Drag event
+         */
+        nativeDragStart(element, event) {
+            this.pending = {
+                kind: 'html5',
+                source: element.closest('[draggable="true"]') || element,
+                from: { x: event.clientX, y: event.clientY }
+            };
+        }
+
+        /**
+         * Complete an HTML5 drag
+         * @param {Element} dropElement - Element the item was dropped on
+         * @param {DragEvent} event - Drag event
+         * @returns {Object|null} Completed drag or null if no drag was tracked
+         */
+        nativeDrop(dropElement, event) {
+            const pending = this.pending;
+            this.pending = null;
+            if (!pending || pending.kind !== 'html5') return null;
+            
+            return this.createDrag(pending, dropElement, event);
+        }
+
+        /**
+         * Describe a completed drag
+         * @param {Object} pending - Tracked drag start
+         * @param {Element} dropElement - Element under the pointer on drop
+         * @param {MouseEvent} event - Final mouse or drag event
+         * @returns {Object} Drag with source, optional drop target and coordinates
+         */
+        createDrag(pending, dropElement, event) {
+            // Dropping on the source itself (sliders, canvases) has no distinct target
+            const hasDistinctTarget = dropElement && dropElement !== pending.source &&
+                !pending.source.contains(dropElement);
+            
+            return {
+                kind: pending.kind,
+                source: pending.source,
+                dropTarget: hasDistinctTarget ? dropElement : null,
+                from: pending.from,
+                to: { x: event.clientX, y: event.clientY }
+            };
+        }
+
+        /**
+         * Check whether a click belongs to a just-finished drag
+         * @returns {boolean} Whether the click should be ignored
+         */
+        consumeClick() {
+            if (Date.now() <= this.suppressClickUntil) {
+                this.suppressClickUntil = 0;
+                return true;
+            }
+            return false;
+        }
+
+        /**
+         * Forget any drag in progress
+         */
+        reset() {
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Tracks pointer dwells that change the DOM, so a hover is only recorded when
+     * the next action targets content it revealed
+     */
+    class HoverTracker {
+        constructor(elementSelector) {
+            this.elementSelector = elementSelector;
+            this.candidate = null;
+            this.pendingHovers = [];
+            this.observer = null;
+            
+            // Hovers still waiting for a dependent action after this long are dropped
+            this.pendingTimeout = 10000;
+            // Attribute changes that show or hide content
+            this.observedAttributes = ['style', 'class', 'hidden', 'open', 'aria-expanded', 'aria-hidden'];
+            
+            this.handleMutations = this.handleMutations.bind(this);
+        }
+
+        /**
+         * Watch a document for changes made while the pointer dwells
+         * @param {Document} doc - Document to observe
+         */
+        observe(doc) {
+            if (typeof MutationObserver === 'undefined') return;
+            
+            if (!this.observer) {
+                this.observer = new MutationObserver(this.handleMutations);
+            }
+            this.observer.observe(doc, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: this.observedAttributes
+            });
+        }
+
+        /**
+         * Start timing a dwell over an element
+         * @param {Element} element - Element under the pointer
+         * @param {number} dwellTime - Minimum dwell in milliseconds
+         */
+        pointerOver(element, dwellTime) {
+            // Moving within the hovered element continues the same dwell
+            if (this.candidate && this.candidate.element.contains(element)) return;
+            
+            this.finishCandidate();
+            this.candidate = {
+                element: element,
+                timestamp: Date.now(),
+                dwellTime: dwellTime,
+                changedNodes: new Set()
+            };
+        }
+
+        /**
+         * Attribute DOM changes to the element currently hovered
+         * @param {MutationRecord[]} mutations - Observed mutations
+         */
+        handleMutations(mutations) {
+            if (!this.candidate) return;
+            
+            mutations.forEach(mutation => {
+                const nodes = mutation.type === 'childList'
+                    ? Array.from(mutation.addedNodes)
+                    : [mutation.target];
+                
+                nodes.forEach(node => {
+                    if (node.nodeType !== Node.ELEMENT_NODE || node === this.candidate.element) return;
+                    // Page-wide state classes would make every later action look dependent
+                    if (node === node.ownerDocument.body || node === node.ownerDocument.documentElement) return;
+                    if (this.elementSelector.isExcludedElement(node)) return;
+                    
+                    this.candidate.changedNodes.add(node);
+                });
+            });
+        }
+
+        /**
+         * Keep the current dwell as a pending hover if it lasted long enough and changed the DOM
+         */
+        finishCandidate() {
+            const candidate = this.candidate;
+            this.candidate = null;
+            
+            if (candidate && candidate.changedNodes.size > 0 &&
+                Date.now() - candidate.timestamp >= candidate.dwellTime) {
+                this.pendingHovers.push(candidate);
+            }
+        }
+
+        /**
+         * Take the pending hovers an action on an element depends on
+         * @param {Element} element - Target of the action about to be recorded
+         * @returns {Array<{element: Element, timestamp: number}>} Hovers to record first, in order
+         */
+        takeHoversFor(element) {
+            this.finishCandidate();
+            
+            const now = Date.now();
+            const pendingHovers = this.pendingHovers.filter(hover => now - hover.timestamp < this.pendingTimeout);
+            this.pendingHovers = [];
+            
+            // Walk back through nested menus: each hover must reveal the next target
+            const hovers = [];
+            let target = element;
+            for (let i = pendingHovers.length - 1; i >= 0; i--) {
+                if (this.isRevealedBy(target, pendingHovers[i])) {
+                    hovers.unshift(pendingHovers[i]);
+                    target = pendingHovers[i].element;
+                }
+            }
+            return hovers;
+        }
+
+        /**
+         * Check whether a hover changed the DOM around an element
+         * @param {Element} element - Element acted on
+         * @param {Object} hover - Pending hover
+         * @returns {boolean} Whether the element depends on the hover
+         */
+        isRevealedBy(element, hover) {
+            return Array.from(hover.changedNodes).some(node => {
+                if (!node.contains(element)) return false;
+                // A change wrapping the hovered element only reveals what lies outside it
+                return !(node.contains(hover.element) && hover.element.contains(element));
+            });
+        }
+
+        /**
+         * Stop observing and forget all dwells
+         */
+        reset() {
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            this.candidate = null;
+            this.pendingHovers = [];
+        }
+    }
+
+    // ============================================================================
+    // NAVIGATION RECORDING
+    // ============================================================================
+
+    /**
+     * Records URL changes (SPA history updates and full page loads) as navigation actions
+     */
+    class NavigationRecorder {
+        constructor(stateManager) {
+            this.stateManager = stateManager;
+            this.isActive = false;
+            // While paused, URL changes are followed and unloads marked, but nothing is recorded
+            this.isPaused = false;
+            this.currentUrl = window.location.href;
+            this.visitedUrls = [window.location.href];
+            this.originalPushState = null;
+            this.originalReplaceState = null;
+            
+            // A URL change within this window after a recorded action is treated as its result
+            this.interactionWindow = 1500;
+            // Pending navigations older than this are ignored on the next page load
+            this.pendingNavigationTimeout = 30000;
+            
+            // Bind event handlers
+            this.handlePopState = this.handlePopState.bind(this);
+            this.handleHashChange = this.handleHashChange.bind(this);
+            this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+        }
+
+        /**
+         * Start recording navigations
+         */
+        start() {
+            this.isPaused = false;
+            if (this.isActive) return;
+            
+            this.isActive = true;
+            this.currentUrl = window.location.href;
+            
+            this.interceptHistory();
+            window.addEventListener('popstate', this.handlePopState, true);
+            window.addEventListener('hashchange', this.handleHashChange, true);
+            window.addEventListener('beforeunload', this.handleBeforeUnload);
+            
+            console.log('Enscriber: Navigation recording started');
+        }
+
+        /**
+         * Pause recording navigations, keeping the unload marker so a paused recording
+         * survives page loads
+         */
+        pause() {
+            this.start();
+            this.isPaused = true;
+        }
+
+        /**
+         * Stop recording navigations
+         */
+        stop() {
+            if (!this.isActive) return;
+            
+            this.isActive = false;
+            this.isPaused = false;
+            
+            // Restore original history methods
+            if (this.originalPushState) {
+                history.pushState = this.originalPushState;
+                this.originalPushState = null;
+            }
+            if (this.originalReplaceState) {
+                history.replaceState = this.originalReplaceState;
+                this.originalReplaceState = null;
+            }
+            
+            window.removeEventListener('popstate', this.handlePopState, true);
+            window.removeEventListener('hashchange', this.handleHashChange, true);
+            window.removeEventListener('beforeunload', this.handleBeforeUnload);
+            
+            console.log('Enscriber: Navigation recording stopped');
+        }
+
+        /**
+         * Intercept history.pushState and history.replaceState
+         */
+        interceptHistory() {
+            this.originalPushState = history.pushState;
+            this.originalReplaceState = history.replaceState;
+            const self = this;
+            
+            history.pushState = function(...args) {
+                const result = self.originalPushState.apply(this, args);
+                self.recordUrlChange('pushState');
+                return result;
+            };
+            
+            history.replaceState = function(...args) {
+                const result = self.originalReplaceState.apply(this, args);
+                self.recordUrlChange('replaceState');
+                return result;
+            };
+        }
+
+        /**
+         * Handle popstate events (back/forward or history.back() calls)
+         */
+        handlePopState() {
+            // Fragment-only changes are reported by the hashchange event
+            if (this.stripHash(window.location.href) === this.stripHash(this.currentUrl)) return;
+            
+            this.recordUrlChange('popstate');
+        }
+
+        /**
+         * Handle hashchange events
+         */
+        handleHashChange() {
+            this.recordUrlChange('hashchange');
+        }
+
+        /**
+         * Remember the page being left so the next page load can be recorded
+         */
+        handleBeforeUnload() {
+            const lastInteraction = this.getLastInteraction();
+            const pendingNavigation = {
+                sessionId: this.getSessionId(),
+                fromUrl: window.location.href,
+                origin: window.location.origin,
+                paused: this.isPaused,
+                timestamp: Date.now(),
+                lastInteractionTime: lastInteraction ? lastInteraction.timestamp : null
+            };
+            
+            try {
+                GM_setValue(this.getPendingNavigationKey(), JSON.stringify(pendingNavigation));
+            } catch (error) {
+                console.error('Enscriber: Failed to save pending navigation:', error);
+            }
+        }
+
+        /**
+         * Record a URL change made within the current document
+         * @param {string} trigger - What changed the URL (pushState, replaceState, popstate, hashchange)
+         */
+        recordUrlChange(trigger) {
+            const url = window.location.href;
+            if (url === this.currentUrl) return;
+            
+            const fromUrl = this.currentUrl;
+            let cause = this.isCausedByInteraction() ? 'interaction' : 'script';
+            let direction = null;
+            
+            // Back/forward without a preceding interaction came from the browser buttons
+            if (trigger === 'popstate' && cause === 'script') {
+                cause = 'history';
+                const previousIndex = this.visitedUrls.lastIndexOf(fromUrl) - 1;
+                direction = previousIndex >= 0 && this.visitedUrls[previousIndex] === url ? 'back' : 'forward';
+            }
+            
+            if (direction === 'back') {
+                this.visitedUrls.pop();
+            } else {
+                this.visitedUrls.push(url);
+            }
+            this.currentUrl = url;
+            
+            if (this.isPaused) return;
+            this.appendNavigation({ url, fromUrl, trigger, cause, direction });
+        }
+
+        /**
+         * Get the unload marker left by the previous page, if it belongs to this page load
+         * @returns {Object|null} Pending navigation
+         */
+        getPendingNavigation() {
+            try {
+                const saved = GM_getValue(this.getPendingNavigationKey());
+                const pendingNavigation = saved ? JSON.parse(saved) : null;
+                
+                // Only a fresh unload from the same origin belongs to this page load
+                if (!pendingNavigation || pendingNavigation.origin !== window.location.origin ||
+                    Date.now() - pendingNavigation.timestamp > this.pendingNavigationTimeout) {
+                    return null;
+                }
+                return pendingNavigation;
+            } catch (error) {
+                console.error('Enscriber: Failed to load pending navigation:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Record the page load that followed an unload recorded by the previous page
+         * @param {Object} pendingNavigation - Marker saved by the previous page
+         */
+        completePendingNavigation(pendingNavigation) {
+            // Consume the marker so no other page load claims it
+            GM_deleteValue(this.getPendingNavigationKey());
+            
+            // Page loads during a pause are not part of the recording
+            if (pendingNavigation.paused) return;
+            
+            this.appendNavigation({
+                url: window.location.href,
+                fromUrl: pendingNavigation.fromUrl,
+                trigger: 'load',
+                cause: this.getLoadCause(pendingNavigation),
+                direction: null
+            });
+        }
+
+        /**
+         * Work out why a full page load happened
+         * @param {Object} pendingNavigation - Marker saved by the previous page
+         * @returns {string} Load cause (interaction, typed, reload or history)
+         */
+        getLoadCause(pendingNavigation) {
+            const entries = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+            const navigationType = entries.length > 0 ? entries[0].type : 'navigate';
+            
+            if (navigationType === 'reload') return 'reload';
+            if (navigationType === 'back_forward') return 'history';
+            
+            // A link click or form submission shortly before unloading caused the load,
+            // otherwise the URL was entered by the user
+            const lastInteractionTime = pendingNavigation.lastInteractionTime;
+            if (lastInteractionTime && pendingNavigation.timestamp - lastInteractionTime < this.interactionWindow) {
+                return 'interaction';
+            }
+            return 'typed';
+        }
+
+        /**
+         * Append a navigation action to the live session
+         * @param {Object} navigation - Navigation details
+         */
+        appendNavigation(navigation) {
+            const actionRecord = this.createNavigationAction(navigation);
+            this.stateManager.appendAction(actionRecord);
+            console.log('Enscriber: Navigation recorded:', actionRecord);
+        }
+
+        /**
+         * Create a navigation action record
+         * @param {Object} navigation - Navigation details
+         * @returns {ActionRecord} Navigation action
+         */
+        createNavigationAction(navigation) {
+            return {
+                id: EnscribeUtils.generateId(),
+                timestamp: Date.now(),
+                type: 'navigation',
+                value: navigation.url,
+                navigation: navigation,
+                notes: '',
+                context: EnscribeUtils.getContextInfo()
+            };
+        }
+
+        /**
+         * Check whether the current URL change follows a recorded user action
+         * @returns {boolean} Whether an interaction caused the change
+         */
+        isCausedByInteraction() {
+            const lastInteraction = this.getLastInteraction();
+            return !!lastInteraction && Date.now() - lastInteraction.timestamp < this.interactionWindow;
+        }
+
+        /**
+         * Get the most recent recorded action that was not itself a navigation
+         * @returns {ActionRecord|null} Last interaction
+         */
+        getLastInteraction() {
+            const session = this.stateManager.getState().currentSession;
+            if (!session || !session.actions) return null;
+            
+            for (let i = session.actions.length - 1; i >= 0; i--) {
+                if (session.actions[i].type !== 'navigation') {
+                    return session.actions[i];
+                }
+            }
+            return null;
+        }
+
+        /**
+         * Get the current session ID
+         * @returns {string|null} Session ID
+         */
+        getSessionId() {
+            const session = this.stateManager.getState().currentSession;
+            return session ? session.id : null;
+        }
+
+        /**
+         * Get storage key for the pending navigation marker
+         * @returns {string} Storage key
+         */
+        getPendingNavigationKey() {
+            return `${ENSCRIBER_CONFIG.storage.prefix}${ENSCRIBER_CONFIG.storage.pendingNavigationKey}`;
+        }
+
+        /**
+         * Remove the fragment from a URL
+         * @param {string} url - URL
+         * @returns {string} URL without hash
+         */
+        stripHash(url) {
+            return url.split('#')[0];
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stop();
+        }
+    }
+
+    // ============================================================================
+    // DIALOG RECORDING
+    // ============================================================================
+
+    /**
+     * Records native alert, confirm and prompt dialogs raised by the page
+     */
+    class DialogRecorder {
+        constructor(stateManager, elementSelector) {
+            this.stateManager = stateManager;
+            this.elementSelector = elementSelector;
+            this.isActive = false;
+            this.originalMethods = {};
+            this.dialogTypes = ['alert', 'confirm', 'prompt'];
+        }
+
+        /**
+         * Start recording dialogs
+         */
+        start() {
+            if (this.isActive) return;
+            
+            this.isActive = true;
+            this.interceptDialogs();
+            
+            console.log('Enscriber: Dialog recording started');
+        }
+
+        /**
+         * Stop recording dialogs
+         */
+        stop() {
+            if (!this.isActive) return;
+            
+            this.isActive = false;
+            
+            // Restore original dialog methods
+            const pageWindow = EnscribeUtils.getPageWindow();
+            this.dialogTypes.forEach(dialogType => {
+                if (this.originalMethods[dialogType]) {
+                    pageWindow[dialogType] = this.originalMethods[dialogType];
+                }
+            });
+            this.originalMethods = {};
+            
+            console.log('Enscriber: Dialog recording stopped');
+        }
+
+        /**
+         * Wrap the page's alert, confirm and prompt
+         */
+        interceptDialogs() {
+            const self = this;
+            const pageWindow = EnscribeUtils.getPageWindow();
+            
+            this.dialogTypes.forEach(dialogType => {
+                const originalMethod = pageWindow[dialogType];
+                this.originalMethods[dialogType] = originalMethod;
+                
+                pageWindow[dialogType] = EnscribeUtils.exposeToPage(function(...args) {
+                    const result = originalMethod.apply(pageWindow, args);
+                    if (!self.isOwnDialog()) {
+                        self.recordDialog(dialogType, args[0], result);
+                    }
+                    return result;
+                }, pageWindow);
+            });
+        }
+
+        /**
+         * Check whether a dialog was raised by the Enscriber UI itself
+         * @returns {boolean} Whether the dialog belongs to Enscriber
+         */
+        isOwnDialog() {
+            // Handlers in the panel's shadow root have no window.event, but leave the host focused
+            const event = EnscribeUtils.getPageWindow().event;
+            const eventTarget = event && event.composedPath ? event.composedPath()[0] : null;
+            const activeElement = document.activeElement;
+            
+            return (eventTarget instanceof Element && this.elementSelector.isExcludedElement(eventTarget)) ||
+                (activeElement && activeElement !== document.body &&
+                 this.elementSelector.isExcludedElement(activeElement));
+        }
+
+        /**
+         * Record a dialog and the user's response to it
+         * @param {string} dialogType - Dialog type (alert, confirm or prompt)
+         * @param {*} message - Message passed to the dialog
+         * @param {*} result - Value returned by the dialog
+         */
+        recordDialog(dialogType, message, result) {
+            const accepted = dialogType === 'alert' || (dialogType === 'prompt' ? result !== null : !!result);
+            const dialog = {
+                type: dialogType,
+                message: message === undefined ? '' : String(message),
+                accepted: accepted,
+                promptText: dialogType === 'prompt' && accepted ? String(result) : null
+            };
+            
+            const actionRecord = {
+                id: EnscribeUtils.generateId(),
+                timestamp: Date.now(),
+                type: 'dialog',
+                value: DialogRecorder.describeResponse(dialog),
+                dialog: dialog,
+                notes: '',
+                context: EnscribeUtils.getContextInfo()
+            };
+            
+            this.stateManager.appendAction(actionRecord);
+            console.log('Enscriber: Dialog recorded:', actionRecord);
+        }
+
+        /**
+         * Describe a dialog response as an editable action value
+         * @param {Object} dialog - Dialog details
+         * @returns {string} 'accept', 'dismiss' or the text entered into a prompt
+         */
+        static describeResponse(dialog) {
+            if (!dialog.accepted) return 'dismiss';
+            return dialog.type === 'prompt' ? dialog.promptText : 'accept';
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stop();
+        }
+    }
+
+    // ============================================================================
+    // POPUP RECORDING
+    // ============================================================================
+
+    /**
+     * Detects pages opened by the recorded page and hands the session over to them
+     */
+    class PopupRecorder {
+        constructor(stateManager, elementSelector) {
+            this.stateManager = stateManager;
+            this.elementSelector = elementSelector;
+            this.isActive = false;
+            this.originalOpen = null;
+            
+            // A popup within this window after a recorded action was opened by it
+            this.interactionWindow = 1500;
+            // The next page to load within this window after a page was opened claims it. Neither
+            // window.opener nor the URL identify it: noopener links hide the opener, redirects the URL.
+            this.pendingPopupTimeout = 10000;
+            // Per-tab storage key remembering which page this tab records as
+            this.pageAliasKey = `${ENSCRIBER_CONFIG.storage.prefix}page_alias`;
+            
+            this.stateManager.pageAlias = this.loadPageAlias();
+            
+            // Bind event handlers
+            this.handleClick = this.handleClick.bind(this);
+        }
+
+        /**
+         * Start detecting popups
+         */
+        start() {
+            if (this.isActive) return;
+            
+            this.isActive = true;
+            this.interceptWindowOpen();
+            document.addEventListener('click', this.handleClick, true);
+            
+            console.log('Enscriber: Popup recording started');
+        }
+
+        /**
+         * Stop detecting popups
+         */
+        stop() {
+            if (!this.isActive) return;
+            
+            this.isActive = false;
+            
+            // Restore original window.open
+            if (this.originalOpen) {
+                EnscribeUtils.getPageWindow().open = this.originalOpen;
+                this.originalOpen = null;
+            }
+            document.removeEventListener('click', this.handleClick, true);
+            
+            console.log('Enscriber: Popup recording stopped');
+        }
+
+        /**
+         * Intercept the page's window.open
+         */
+        interceptWindowOpen() {
+            const pageWindow = EnscribeUtils.getPageWindow();
+            this.originalOpen = pageWindow.open;
+            const self = this;
+            
+            pageWindow.open = EnscribeUtils.exposeToPage(function(...args) {
+                const openedWindow = self.originalOpen.apply(pageWindow, args);
+                const target = String(args[1] || '_blank').toLowerCase();
+                
+                // Named targets other than _blank may reuse an existing window
+                if (openedWindow && !['_self', '_parent', '_top'].includes(target)) {
+                    self.handlePageOpened(self.resolveUrl(args[0]));
+                }
+                return openedWindow;
+            }, pageWindow);
+        }
+
+        /**
+         * Handle clicks on links that open in a new page
+         * @param {Event} event - Click event
+         */
+        handleClick(event) {
+            if (!event.isTrusted || event.button !== 0) return;
+            
+            const target = EnscribeUtils.getComposedTarget(event);
+            const link = target.closest ? target.closest('a[href], area[href]') : null;
+            if (!link || (link.target || '').toLowerCase() !== '_blank') return;
+            if (this.elementSelector.isExcludedElement(link)) return;
+            
+            // Wait for the page's own handlers, which may cancel the navigation
+            setTimeout(() => {
+                if (!event.defaultPrevented && this.isActive) {
+                    this.handlePageOpened(link.href);
+                }
+            }, 0);
+        }
+
+        /**
+         * Flag the action that opened a page and leave a marker for the new page to claim
+         * @param {string} url - URL the new page was opened with
+         */
+        handlePageOpened(url) {
+            const session = this.stateManager.getState().currentSession;
+            if (!session) return;
+            
+            const newPage = this.getNextPageAlias(session);
+            const openerAction = this.getOpenerAction(session);
+            const triggerActionId = openerAction ? openerAction.id : EnscribeUtils.generateId();
+            
+            if (openerAction) {
+                this.stateManager.updateAction(openerAction.id, { opensNewPage: true, newPage: newPage });
+            } else {
+                // Opened without a recorded interaction, e.g. from a timer
+                this.stateManager.appendAction({
+                    id: triggerActionId,
+                    timestamp: Date.now(),
+                    type: 'popup',
+                    value: url,
+                    opensNewPage: true,
+                    newPage: newPage,
+                    notes: '',
+                    context: EnscribeUtils.getContextInfo()
+                });
+            }
+            
+            try {
+                const pendingPopup = {
+                    sessionId: session.id,
+                    pageAlias: newPage,
+                    openerAlias: this.stateManager.pageAlias,
+                    triggerActionId: triggerActionId,
+                    url: url,
+                    timestamp: Date.now()
+                };
+                GM_setValue(this.getPendingPopupKey(), JSON.stringify(pendingPopup));
+            } catch (error) {
+                console.error('Enscriber: Failed to save pending popup:', error);
+            }
+            
+            // The new page loads the session from storage, so it must include the flag
+            this.stateManager.saveActiveSession();
+            console.log(`Enscriber: New page ${newPage} opened at ${url}`);
+        }
+
+        /**
+         * Get the recent action on this page that opened a new page
+         * @param {SessionData} session - Current session
+         * @returns {ActionRecord|null} Opener action
+         */
+        getOpenerAction(session) {
+            const lastAction = session.actions[session.actions.length - 1];
+            if (!lastAction || !lastAction.element || lastAction.opensNewPage) return null;
+            if (lastAction.page !== this.stateManager.pageAlias) return null;
+            
+            return Date.now() - lastAction.timestamp < this.interactionWindow ? lastAction : null;
+        }
+
+        /**
+         * Pick the page variable for the next page opened in a session
+         * @param {SessionData} session - Current session
+         * @returns {string} Page alias (popup, popup2, ...)
+         */
+        getNextPageAlias(session) {
+            const openedPages = session.actions.filter(action => action.opensNewPage).length;
+            return openedPages === 0 ? 'popup' : `popup${openedPages + 1}`;
+        }
+
+        /**
+         * Get the popup marker left by an opener, if this page is the popup it opened
+         * @returns {Object|null} Pending popup
+         */
+        getPendingPopup() {
+            try {
+                const saved = GM_getValue(this.getPendingPopupKey());
+                const pendingPopup = saved ? JSON.parse(saved) : null;
+                
+                if (!pendingPopup || Date.now() - pendingPopup.timestamp > this.pendingPopupTimeout) {
+                    return null;
+                }
+                return pendingPopup;
+            } catch (error) {
+                console.error('Enscriber: Failed to load pending popup:', error);
+                return null;
+            }
+        }
+
+        /**
+         * Check whether a pending popup was left by the step that opened a page in a session
+         * @param {Object} pendingPopup - Marker saved by the opener
+         * @param {SessionData} session - Session the marker should belong to
+         * @returns {boolean} Whether the session's trigger action opened the page the marker names
+         */
+        isOpenedBy(pendingPopup, session) {
+            return pendingPopup.sessionId === session.id && session.actions.some(action =>
+                action.id === pendingPopup.triggerActionId && action.newPage === pendingPopup.pageAlias);
+        }
+
+        /**
+         * Claim a pending popup so this tab records as the page it names
+         * @param {Object} pendingPopup - Marker saved by the opener
+         */
+        claimPendingPopup(pendingPopup) {
+            // Consume the marker so no other page claims it
+            GM_deleteValue(this.getPendingPopupKey());
+            this.setPageAlias(pendingPopup.pageAlias);
+        }
+
+        /**
+         * Set the page variable this tab records as
+         * @param {string} pageAlias - Page alias
+         */
+        setPageAlias(pageAlias) {
+            this.stateManager.pageAlias = pageAlias;
+            try {
+                sessionStorage.setItem(this.pageAliasKey, pageAlias);
+            } catch (error) {
+                // Storage may be unavailable in sandboxed documents
+            }
+        }
+
+        /**
+         * Load the page variable remembered by this tab
+         * @returns {string} Page alias
+         */
+        loadPageAlias() {
+            try {
+                return sessionStorage.getItem(this.pageAliasKey) || 'page';
+            } catch (error) {
+                return 'page';
+            }
+        }
+
+        /**
+         * Resolve a URL passed to window.open
+         * @param {string|URL} url - URL argument
+         * @returns {string} Absolute URL, or about:blank
+         */
+        resolveUrl(url) {
+            try {
+                return url ? new URL(url, window.location.href).href : 'about:blank';
+            } catch (error) {
+                return String(url);
+            }
+        }
+
+        /**
+         * Get storage key for the pending popup marker
+         * @returns {string} Storage key
+         */
+        getPendingPopupKey() {
+            return `${ENSCRIBER_CONFIG.storage.prefix}${ENSCRIBER_CONFIG.storage.pendingPopupKey}`;
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stop();
+        }
+    }
+
+    // ============================================================================
+    // FRAME RECORDING
+    // ============================================================================
+
+    /**
+     * Records interactions inside frames: same-origin frame documents are instrumented
+     * directly, cross-origin frames report through the Enscriber instance running in them
+     */
+    class FrameRecorder {
+        constructor(stateManager, recorders, selectorGenerator) {
+            this.stateManager = stateManager;
+            // Recorders that accept extra documents through addDocument/removeDocument
+            this.recorders = recorders;
+            this.selectorGenerator = selectorGenerator;
+            this.isActive = false;
+            this.documents = new Set();
+            this.frameElements = new Set();
+            this.observer = null;
+            
+            // Frames prove they run Enscriber by echoing the recording's nonce, which only the
+            // userscript can read from storage; any page can post messages to this window
+            this.nonce = null;
+            // Frame windows that sent the nonce, with the origin messages to them are restricted to
+            this.frameOrigins = new Map();
+            // Window each frame action came from, so only that frame can update it
+            this.frameActionSources = new Map();
+            
+            // Action types the frame agent's recorders produce
+            this.frameActionTypes = [
+                'click', 'dblclick', 'rightclick', 'input', 'hover', 'check', 'select', 'submit',
+                'drag', 'paste', 'copy', 'cut', 'upload', 'press'
+            ];
+            this.candidateStrategies = ['dataAttribute', 'semantic', 'css', 'xpath', 'textBased'];
+            this.locatorMethods = ['getByRole', 'getByLabel', 'getByPlaceholder', 'getByText', 'getByTestId'];
+            
+            // Bind event handlers
+            this.handleMessage = this.handleMessage.bind(this);
+            this.handleFrameLoad = this.handleFrameLoad.bind(this);
+            this.scheduleScan = EnscribeUtils.debounce(() => this.scanFrames(), 100);
+            
+            // Frames ask for the recording state when they load or are told a recording started
+            window.addEventListener('message', this.handleMessage);
+            
+            this.stateManager.addListener('frames', (newState, prevState) => {
+                if (newState.mode !== prevState.mode || newState.settings !== prevState.settings) {
+                    this.broadcastRecordingState();
+                }
+            });
+        }
+
+        /**
+         * Start recording frames
+         */
+        start() {
+            if (this.isActive) return;
+            
+            this.isActive = true;
+            
+            // Frames that loaded before the recording started ask for its state once told
+            this.nonce = FrameRecorder.createNonce();
+            this.frameOrigins.clear();
+            try {
+                GM_setValue(FrameRecorder.getNonceKey(), this.nonce);
+            } catch (error) {
+                console.error('Enscriber: Failed to save frame nonce:', error);
+            }
+            this.postToAllFrames({ enscriber: 'recording-ping' });
+            
+            if (typeof MutationObserver !== 'undefined') {
+                this.observer = new MutationObserver(this.scheduleScan);
+                this.observer.observe(document.documentElement, { childList: true, subtree: true });
+            }
+            this.scanFrames();
+            
+            console.log('Enscriber: Frame recording started');
+        }
+
+        /**
+         * Stop recording frames
+         */
+        stop() {
+            if (!this.isActive) return;
+            
+            this.isActive = false;
+            
+            if (this.observer) {
+                this.observer.disconnect();
+                this.observer = null;
+            }
+            this.frameElements.forEach(frameElement => {
+                frameElement.removeEventListener('load', this.handleFrameLoad);
+            });
+            this.frameElements.clear();
+            this.documents.forEach(doc => this.releaseDocument(doc));
+            
+            // Tell frames to stop too before forgetting them; a resumed recording hands out a new nonce
+            this.broadcastRecordingState();
+            try {
+                if (GM_getValue(FrameRecorder.getNonceKey()) === this.nonce) {
+                    GM_deleteValue(FrameRecorder.getNonceKey());
+                }
+            } catch (error) {
+                console.error('Enscriber: Failed to clear frame nonce:', error);
+            }
+            this.nonce = null;
+            this.frameOrigins.clear();
+            
+            console.log('Enscriber: Frame recording stopped');
+        }
+
+        /**
+         * Find same-origin frame documents and hand them to the recorders
+         */
+        scanFrames() {
+            if (!this.isActive) return;
+            
+            // Documents of removed or navigated frames are stale
+            this.documents.forEach(doc => {
+                const frameWindow = doc.defaultView;
+                if (!frameWindow || !frameWindow.frameElement || !frameWindow.frameElement.isConnected ||
+                    frameWindow.frameElement.contentDocument !== doc) {
+                    this.releaseDocument(doc);
+                }
+            });
+            
+            this.scanDocument(document);
+        }
+
+        /**
+         * Instrument the frames of a document and of its same-origin frames
+         * @param {Document} doc - Document to scan
+         */
+        scanDocument(doc) {
+            doc.querySelectorAll('iframe, frame').forEach(frameElement => {
+                if (!this.frameElements.has(frameElement)) {
+                    this.frameElements.add(frameElement);
+                    frameElement.addEventListener('load', this.handleFrameLoad);
+                }
+                
+                const frameDocument = FrameRecorder.getAccessibleDocument(frameElement);
+                if (!frameDocument) return;
+                
+                if (!this.documents.has(frameDocument)) {
+                    this.documents.add(frameDocument);
+                    this.recorders.forEach(recorder => recorder.addDocument(frameDocument));
+                    if (this.observer) {
+                        this.observer.observe(frameDocument.documentElement, { childList: true, subtree: true });
+                    }
+                }
+                this.scanDocument(frameDocument);
+            });
+        }
+
+        /**
+         * Take a frame document away from the recorders
+         * @param {Document} doc - Frame document
+         */
+        releaseDocument(doc) {
+            this.documents.delete(doc);
+            this.recorders.forEach(recorder => recorder.removeDocument(doc));
+        }
+
+        /**
+         * Re-scan when a frame loads a new document
+         */
+        handleFrameLoad() {
+            this.scanFrames();
+        }
+
+        /**
+         * Handle messages from Enscriber instances running in frames
+         * @param {MessageEvent} event - Message event
+         */
+        handleMessage(event) {
+            const data = event.data;
+            if (!data || typeof data !== 'object' || !event.source) return;
+            
+            // Messages without the current recording's nonce may come from any page in a frame
+            if (!this.isActive || !this.nonce || data.nonce !== this.nonce) return;
+            
+            if (data.enscriber === 'frame-hello') {
+                const targetOrigin = FrameRecorder.getTargetOrigin(event.origin);
+                this.frameOrigins.set(event.source, targetOrigin);
+                event.source.postMessage(this.getRecordingState(), targetOrigin);
+            } else if (data.enscriber === 'frame-action') {
+                this.recordFrameAction(event);
+            }
+        }
+
+        /**
+         * Add an action reported by a child frame to the session
+         * @param {MessageEvent} event - Message carrying the action
+         */
+        recordFrameAction(event) {
+            const action = FrameRecorder.prependFrame(this.sanitizeAction(event.data.action), event.source, document, this.selectorGenerator);
+            if (!action) return;
+            
+            const actionRecord = { ...action, page: this.stateManager.pageAlias };
+            if (event.data.op === 'update') {
+                // Frames only update actions they reported themselves
+                if (this.frameActionSources.get(actionRecord.id) !== event.source) return;
+                this.stateManager.updateAction(actionRecord.id, actionRecord);
+            } else {
+                const session = this.stateManager.getState().currentSession;
+                if (!session || session.actions.some(existing => existing.id === actionRecord.id)) return;
+                
+                this.frameActionSources.set(actionRecord.id, event.source);
+                this.stateManager.appendAction(actionRecord);
+                console.log('Enscriber: Frame action recorded:', actionRecord);
+            }
+        }
+
+        /**
+         * Copy the fields export reads from an action a frame reported, checking their types.
+         * The page in a frame can be anyone's, so nothing else it sends reaches the session.
+         * @param {*} action - Action from the frame's message
+         * @returns {ActionRecord|null} Action, or null if it is not one the frame agent records
+         */
+        sanitizeAction(action) {
+            if (!FrameRecorder.isObject(action) || typeof action.id !== 'string' ||
+                !this.frameActionTypes.includes(action.type) || !FrameRecorder.isObject(action.element)) {
+                return null;
+            }
+            
+            const text = FrameRecorder.toText;
+            const number = FrameRecorder.toNumber;
+            const list = FrameRecorder.toList;
+            const context = FrameRecorder.isObject(action.context) ? action.context : {};
+            const sanitized = {
+                id: action.id,
+                timestamp: number(action.timestamp) || Date.now(),
+                type: action.type,
+                element: this.sanitizeElement(action.element),
+                value: text(action.value),
+                notes: '',
+                context: { url: text(context.url), title: text(context.title) }
+            };
+            
+            if (Array.isArray(action.framePath)) {
+                sanitized.framePath = list(action.framePath).map(frame => ({
+                    selector: text(frame.selector),
+                    name: text(frame.name),
+                    id: text(frame.id),
+                    src: text(frame.src)
+                }));
+            }
+            if (Array.isArray(action.modifiers)) {
+                sanitized.modifiers = action.modifiers.filter(modifier => ['Alt', 'Control', 'Meta', 'Shift'].includes(modifier));
+            }
+            if (FrameRecorder.isObject(action.offset)) {
+                sanitized.offset = {
+                    x: number(action.offset.x),
+                    y: number(action.offset.y),
+                    xPercent: number(action.offset.xPercent),
+                    yPercent: number(action.offset.yPercent)
+                };
+            }
+            if (['pressSequentially', 'clipboard'].includes(action.inputMethod)) {
+                sanitized.inputMethod = action.inputMethod;
+            }
+            if (Array.isArray(action.options)) {
+                sanitized.options = list(action.options).map(option => ({ value: text(option.value), label: text(option.label) }));
+            }
+            if (action.redacted === true) {
+                sanitized.redacted = true;
+            }
+            if (typeof action.fieldValue === 'string') {
+                sanitized.fieldValue = action.fieldValue;
+            }
+            if (Array.isArray(action.files)) {
+                sanitized.files = list(action.files).map(file => ({
+                    name: text(file.name),
+                    size: number(file.size),
+                    type: text(file.type)
+                }));
+            }
+            if (FrameRecorder.isObject(action.trigger)) {
+                sanitized.trigger = this.sanitizeElement(action.trigger);
+            }
+            if ('dropTarget' in action) {
+                sanitized.dropTarget = FrameRecorder.isObject(action.dropTarget) ? this.sanitizeElement(action.dropTarget) : null;
+            }
+            if (FrameRecorder.isObject(action.drag)) {
+                const point = value => ({
+                    x: number(FrameRecorder.isObject(value) ? value.x : 0),
+                    y: number(FrameRecorder.isObject(value) ? value.y : 0)
+                });
+                sanitized.drag = { kind: text(action.drag.kind), from: point(action.drag.from), to: point(action.drag.to) };
+            }
+            return sanitized;
+        }
+
+        /**
+         * Copy the element metadata of a frame action, checking its types
+         * @param {Object} element - Element metadata from the frame
+         * @returns {ElementMetadata} Element metadata
+         */
+        sanitizeElement(element) {
+            const text = FrameRecorder.toText;
+            const number = FrameRecorder.toNumber;
+            // Names and IDs are also written into comments, where a line break would end the comment
+            const line = value => text(value).replace(/[\r\n\u2028\u2029]+/g, ' ');
+            const position = FrameRecorder.isObject(element.position) ? element.position : {};
+            const attributes = {};
+            if (FrameRecorder.isObject(element.attributes)) {
+                Object.keys(element.attributes).forEach(name => {
+                    attributes[name] = text(element.attributes[name]);
                 });
             }
+            
+            return {
+                tagName: line(element.tagName).toLowerCase().replace(/[^a-z0-9-]/g, '') || 'element',
+                id: element.id ? line(element.id) : null,
+                className: element.className ? line(element.className) : null,
+                textContent: element.textContent ? line(element.textContent) : null,
+                attributes: attributes,
+                position: {
+                    x: number(position.x),
+                    y: number(position.y),
+                    width: number(position.width),
+                    height: number(position.height)
+                },
+                isVisible: element.isVisible === true,
+                computedStyles: {},
+                parentContext: null,
+                shadowHosts: FrameRecorder.toList(element.shadowHosts).map(host => ({
+                    tagName: line(host.tagName),
+                    id: host.id ? line(host.id) : null,
+                    selector: text(host.selector)
+                })),
+                xpath: element.xpath ? text(element.xpath) : null,
+                selectors: this.sanitizeSelectors(element.selectors)
+            };
+        }
+
+        /**
+         * Copy the selector set of a frame action's element, checking its types
+         * @param {*} selectors - Selector set from the frame
+         * @returns {SelectorSet} Selector set
+         */
+        sanitizeSelectors(selectors) {
+            const source = FrameRecorder.isObject(selectors) ? selectors : {};
+            const strings = value => (Array.isArray(value) ? value : []).filter(item => typeof item === 'string');
+            const confidence = FrameRecorder.isObject(source.confidence) ? source.confidence : {};
+            
+            return {
+                css: strings(source.css),
+                xpath: strings(source.xpath),
+                dataAttributes: strings(source.dataAttributes),
+                textBased: strings(source.textBased),
+                role: strings(source.role),
+                confidence: {
+                    dataAttribute: FrameRecorder.toNumber(confidence.dataAttribute),
+                    semantic: FrameRecorder.toNumber(confidence.semantic),
+                    css: FrameRecorder.toNumber(confidence.css),
+                    xpath: FrameRecorder.toNumber(confidence.xpath),
+                    textBased: FrameRecorder.toNumber(confidence.textBased)
+                },
+                ranked: FrameRecorder.toList(source.ranked)
+                    .filter(candidate => this.candidateStrategies.includes(candidate.strategy) && typeof candidate.selector === 'string')
+                    .map(candidate => this.sanitizeCandidate(candidate))
+            };
+        }
+
+        /**
+         * Copy a selector candidate of a frame action, checking its types
+         * @param {Object} candidate - Candidate from the frame
+         * @returns {SelectorCandidate} Candidate
+         */
+        sanitizeCandidate(candidate) {
+            const text = FrameRecorder.toText;
+            const sanitized = {
+                strategy: candidate.strategy,
+                selector: candidate.selector,
+                confidence: FrameRecorder.toNumber(candidate.confidence)
+            };
+            
+            const locator = this.sanitizeLocator(candidate.locator);
+            if (locator) sanitized.locator = locator;
+            if ('matchCount' in candidate) sanitized.matchCount = FrameRecorder.toIndex(candidate.matchCount);
+            if ('score' in candidate) sanitized.score = FrameRecorder.toNumber(candidate.score);
+            if (candidate.positional === true) sanitized.positional = true;
+            if (['filter', 'scope', 'nth'].includes(candidate.refinement)) sanitized.refinement = candidate.refinement;
+            if (typeof candidate.refines === 'string') sanitized.refines = candidate.refines;
+            if (FrameRecorder.isObject(candidate.filter)) sanitized.filter = { hasText: text(candidate.filter.hasText) };
+            if ('nth' in candidate) sanitized.nth = FrameRecorder.toIndex(candidate.nth);
+            if (FrameRecorder.isObject(candidate.scope)) {
+                sanitized.scope = { selector: text(candidate.scope.selector), locator: this.sanitizeLocator(candidate.scope.locator) };
+            }
+            return sanitized;
+        }
+
+        /**
+         * Copy a user-facing locator of a frame action, checking its types
+         * @param {*} locator - Locator from the frame
+         * @returns {UserFacingLocator|null} Locator, or null if it is not one the generator produces
+         */
+        sanitizeLocator(locator) {
+            if (!FrameRecorder.isObject(locator) || !this.locatorMethods.includes(locator.method)) return null;
+            
+            const sanitized = { method: locator.method };
+            ['role', 'name', 'text', 'attribute', 'hasText'].forEach(field => {
+                if (field in locator) sanitized[field] = FrameRecorder.toText(locator[field]);
+            });
+            if (sanitized.role !== undefined && !/^[a-z]+$/.test(sanitized.role)) return null;
+            if (locator.exact === true) sanitized.exact = true;
+            if ('nth' in locator) sanitized.nth = FrameRecorder.toIndex(locator.nth);
+            return sanitized;
+        }
+
+        /**
+         * Get the recording state sent to frames
+         * @returns {Object} Recording state message
+         */
+        getRecordingState() {
+            const state = this.stateManager.getState();
+            return {
+                enscriber: 'recording-state',
+                mode: state.mode,
+                settings: state.settings,
+                sessionId: state.currentSession ? state.currentSession.id : null
+            };
+        }
+
+        /**
+         * Send the recording state to every frame, including cross-origin ones
+         */
+        broadcastRecordingState() {
+            const message = this.getRecordingState();
+            
+            // Only frames that sent the nonce are told settings and the session ID
+            this.frameOrigins.forEach((targetOrigin, frameWindow) => {
+                try {
+                    frameWindow.postMessage(message, targetOrigin);
+                } catch (error) {
+                    this.frameOrigins.delete(frameWindow);
+                }
+            });
+        }
+
+        /**
+         * Post a message that carries no recording data to every frame, including cross-origin ones
+         * @param {Object} message - Message to post
+         */
+        postToAllFrames(message) {
+            const post = (parentWindow) => {
+                for (let i = 0; i < parentWindow.frames.length; i++) {
+                    const frameWindow = parentWindow.frames[i];
+                    frameWindow.postMessage(message, '*');
+                    post(frameWindow);
+                }
+            };
+            
+            try {
+                post(window);
+            } catch (error) {
+                console.warn('Enscriber: Failed to post to frames:', error);
+            }
+        }
+
+        /**
+         * Create the nonce frames present to take part in a recording
+         * @returns {string} Random hexadecimal string
+         */
+        static createNonce() {
+            const bytes = new Uint8Array(16);
+            crypto.getRandomValues(bytes);
+            return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        /**
+         * Get the storage key of the frame nonce
+         * @returns {string} Storage key
+         */
+        static getNonceKey() {
+            return `${ENSCRIBER_CONFIG.storage.prefix}${ENSCRIBER_CONFIG.storage.frameNonceKey}`;
+        }
+
+        /**
+         * Get the target origin for messages to a frame; sandboxed frames have an opaque origin
+         * @param {string} origin - Origin of a message from the frame
+         * @returns {string} Target origin for postMessage
+         */
+        static getTargetOrigin(origin) {
+            return origin && origin !== 'null' ? origin : '*';
+        }
+
+        /**
+         * Check whether a value from a message is a plain object
+         * @param {*} value - Value to check
+         * @returns {boolean} Whether the value is a non-array object
+         */
+        static isObject(value) {
+            return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        /**
+         * Get a string from a message value
+         * @param {*} value - Value to convert
+         * @returns {string} The value if it is a string, else an empty string
+         */
+        static toText(value) {
+            return typeof value === 'string' ? value : '';
+        }
+
+        /**
+         * Get a finite number from a message value
+         * @param {*} value - Value to convert
+         * @returns {number} The value if it is a finite number, else 0
+         */
+        static toNumber(value) {
+            return typeof value === 'number' && Number.isFinite(value) ? value : 0;
+        }
+
+        /**
+         * Get a count or index from a message value
+         * @param {*} value - Value to convert
+         * @returns {number} Non-negative integer
+         */
+        static toIndex(value) {
+            return Math.max(0, Math.floor(FrameRecorder.toNumber(value)));
+        }
+
+        /**
+         * Get the objects of a message array
+         * @param {*} value - Value to convert
+         * @returns {Array<Object>} The array's plain objects, or an empty array
+         */
+        static toList(value) {
+            return Array.isArray(value) ? value.filter(item => FrameRecorder.isObject(item)) : [];
+        }
+
+        /**
+         * Get the document of a frame if it is same-origin
+         * @param {HTMLIFrameElement|HTMLFrameElement} frameElement - Frame element
+         * @returns {Document|null} Frame document
+         */
+        static getAccessibleDocument(frameElement) {
+            try {
+                const frameDocument = frameElement.contentDocument;
+                return frameDocument && frameDocument.documentElement ? frameDocument : null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Get the frames between this window and an element, outermost first
+         * @param {Element} element - Element, possibly inside a same-origin frame
+         * @param {SelectorGenerator} selectorGenerator - Judges whether frame names and IDs are stable
+         * @returns {Array<FrameDescriptor>} Frame path; empty for elements of this document
+         */
+        static getFramePath(element, selectorGenerator) {
+            const framePath = [];
+            let frameWindow = element.ownerDocument ? element.ownerDocument.defaultView : null;
+            
+            while (frameWindow && frameWindow !== window && frameWindow.frameElement) {
+                framePath.unshift(FrameRecorder.describeFrame(frameWindow.frameElement, selectorGenerator));
+                frameWindow = frameWindow.parent;
+            }
+            return framePath;
+        }
+
+        /**
+         * Add the frame a message came from to the front of an action's frame path
+         * @param {ActionRecord} action - Action reported by the frame
+         * @param {Window} sourceWindow - Window that sent the action
+         * @param {Document} doc - Document containing the frame
+         * @param {SelectorGenerator} selectorGenerator - Judges whether frame names and IDs are stable
+         * @returns {ActionRecord|null} Action with the extended frame path, or null for unknown senders
+         */
+        static prependFrame(action, sourceWindow, doc, selectorGenerator) {
+            const frameElement = Array.from(doc.querySelectorAll('iframe, frame'))
+                .find(candidate => candidate.contentWindow === sourceWindow);
+            if (!frameElement || !action) return null;
+            
+            return {
+                ...action,
+                framePath: [FrameRecorder.describeFrame(frameElement, selectorGenerator), ...(action.framePath || [])]
+            };
+        }
+
+        /**
+         * Describe a frame element so generated code can locate it
+         * @param {HTMLIFrameElement|HTMLFrameElement} frameElement - Frame element
+         * @param {SelectorGenerator} selectorGenerator - Judges whether frame names and IDs are stable
+         * @returns {FrameDescriptor} Frame descriptor
+         */
+        static describeFrame(frameElement, selectorGenerator) {
+            const tagName = frameElement.tagName.toLowerCase();
+            const name = frameElement.getAttribute('name');
+            const title = frameElement.getAttribute('title');
+            const src = frameElement.getAttribute('src');
+            // Query strings and fragments carry session tokens and cache busters
+            const srcPrefix = src ? src.split(/[?#]/)[0] : '';
+            let selector;
+            
+            // Prefer attributes that survive layout changes over position
+            if (name && selectorGenerator.isStableToken(name)) {
+                selector = `${tagName}[name="${CSS.escape(name)}"]`;
+            } else if (frameElement.id && selectorGenerator.isStableToken(frameElement.id)) {
+                selector = `#${CSS.escape(frameElement.id)}`;
+            } else if (title) {
+                selector = `${tagName}[title="${CSS.escape(title)}"]`;
+            } else if (srcPrefix) {
+                selector = `${tagName}[src^="${CSS.escape(srcPrefix)}"]`;
+            } else {
+                const frames = Array.from(frameElement.ownerDocument.querySelectorAll(tagName));
+                selector = `${tagName} >> nth=${frames.indexOf(frameElement)}`;
+            }
+            
+            return {
+                selector: selector,
+                name: name || '',
+                id: frameElement.id || '',
+                src: src || ''
+            };
+        }
+
+        /**
+         * Check whether every frame between a window and the top page is same-origin,
+         * in which case the top page instruments the window's document itself
+         * @param {Window} frameWindow - Window to check
+         * @returns {boolean} Whether the top page can reach the window's document
+         */
+        static isReachableFromTop(frameWindow) {
+            try {
+                let currentWindow = frameWindow;
+                while (currentWindow !== currentWindow.top) {
+                    // Throws for cross-origin parents
+                    if (!currentWindow.parent.document) return false;
+                    currentWindow = currentWindow.parent;
+                }
+                return true;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Clean up resources
+         */
+        destroy() {
+            this.stop();
+            window.removeEventListener('message', this.handleMessage);
         }
+    }
 
+    /**
+     * State manager for frames; settings and sessions belong to the top page
+     */
+    class FrameStateManager extends StateManager {
         /**
-         * Toggle recording mode between inactive and manual selection
+         * Frames never write settings, so a stale copy cannot overwrite the top page's
          */
-        toggleRecording() {
-            const currentState = this.stateManager.getState();
+        saveState() {}
+    }
+
+    /**
+     * Enscriber instance running inside a frame: records the frame's document when the
+     * top page cannot reach it and relays actions from nested frames up to the top page
+     */
+    class FrameAgent {
+        constructor() {
+            this.stateManager = new FrameStateManager();
+            // Judges frame names and IDs for the frames this one relays actions from
+            this.selectorGenerator = new SelectorGenerator(this.stateManager);
+            this.highlighter = null;
+            this.elementSelector = null;
+            this.autoRecorder = null;
+            this.recordsOwnDocument = !FrameRecorder.isReachableFromTop(window);
+            // Nonce of the recording this frame takes part in, sent with every message to the top page
+            this.nonce = null;
+            this.helloTimer = null;
             
-            if (currentState.mode === ENSCRIBER_CONFIG.modes.INACTIVE) {
-                // Start recording
-                this.stateManager.setState({
-                    mode: ENSCRIBER_CONFIG.modes.MANUAL_SELECTION,
-                    isRecording: true
-                });
-            } else {
-                // Stop recording
-                this.stateManager.setState({
-                    mode: ENSCRIBER_CONFIG.modes.INACTIVE,
-                    isRecording: false
-                });
-            }
+            // Bind event handlers
+            this.handleMessage = this.handleMessage.bind(this);
         }
 
         /**
-         * Get current recording mode
-         * @returns {string} Current recording mode
+         * Start listening to the top page and to nested frames
          */
-        getRecordingMode() {
-            return this.recordingMode;
+        initialize() {
+            window.addEventListener('message', this.handleMessage);
+            
+            this.stateManager.addListener('frameAgent', (newState, prevState) => {
+                if (newState.currentSession !== prevState.currentSession) {
+                    this.forwardActionChanges(newState.currentSession, prevState.currentSession);
+                }
+            });
+            
+            // Ask the top page whether a recording is in progress
+            this.sayHello();
+            
+            console.log(`Enscriber: Frame agent ready (${this.recordsOwnDocument ? 'recording' : 'relaying'})`);
         }
 
         /**
-         * Check if currently recording
-         * @returns {boolean} Whether currently recording
+         * Handle messages from the top page and from nested frames
+         * @param {MessageEvent} event - Message event
          */
-        isCurrentlyRecording() {
-            return this.isRecording;
+        handleMessage(event) {
+            const data = event.data;
+            if (!data || typeof data !== 'object' || !event.source) return;
+            
+            if (data.enscriber === 'recording-ping' && event.source === window.top) {
+                this.sayHello();
+            } else if (data.enscriber === 'recording-state' && event.source === window.top) {
+                clearTimeout(this.helloTimer);
+                this.applyRecordingState(data);
+            } else if (data.enscriber === 'frame-action' && this.nonce && data.nonce === this.nonce) {
+                // Pass nested frame actions on with this window's frame added to their path
+                const action = FrameRecorder.prependFrame(data.action, event.source, document, this.selectorGenerator);
+                if (action) {
+                    window.parent.postMessage({ enscriber: 'frame-action', op: data.op, nonce: this.nonce, action: action }, '*');
+                }
+            }
         }
 
         /**
-         * Get recorded actions
-         * @returns {Array} Array of recorded actions
+         * Send the top page the recording's nonce so it answers with the recording state.
+         * Storage written by the top page can take a moment to reach frames, so the
+         * hello is repeated until the top page answers.
+         * @param {number} [attempts] - Hellos left to send
          */
-        getRecordedActions() {
-            return [...this.recordedActions];
+        sayHello(attempts = 5) {
+            clearTimeout(this.helloTimer);
+            
+            try {
+                this.nonce = GM_getValue(FrameRecorder.getNonceKey()) || null;
+            } catch (error) {
+                this.nonce = null;
+            }
+            if (this.nonce) {
+                window.top.postMessage({ enscriber: 'frame-hello', nonce: this.nonce }, '*');
+            }
+            if (attempts > 1) {
+                this.helloTimer = setTimeout(() => this.sayHello(attempts - 1), 500);
+            }
         }
 
         /**
-         * Clear recorded actions
+         * Follow the recording mode of the top page
+         * @param {Object} recordingState - Recording state sent by the top page
          */
-        clearRecordedActions() {
-            this.recordedActions = [];
+        applyRecordingState(recordingState) {
+            if (!this.recordsOwnDocument) return;
+            
+            const currentSession = this.stateManager.getState().currentSession;
+            if (!currentSession || currentSession.id !== recordingState.sessionId) {
+                this.stateManager.setState({
+                    currentSession: { id: recordingState.sessionId, actions: [] }
+                });
+            }
+            this.stateManager.setState({ settings: recordingState.settings });
+            
+            const modes = ENSCRIBER_CONFIG.modes;
+            if (recordingState.mode === modes.AUTO_RECORDING || recordingState.mode === modes.MANUAL_SELECTION) {
+                this.createRecorders();
+            }
+            if (!this.autoRecorder) return;
+            
+            if (recordingState.mode === modes.AUTO_RECORDING) {
+                this.elementSelector.disableSelectionMode();
+                this.autoRecorder.start();
+            } else if (recordingState.mode === modes.MANUAL_SELECTION) {
+                this.autoRecorder.stop();
+                this.elementSelector.enableSelectionMode();
+            } else {
+                this.autoRecorder.stop();
+                this.elementSelector.disableSelectionMode();
+            }
         }
 
         /**
-         * Initialize a new recording session
+         * Create the recorders the first time this frame records
          */
-        initializeSession() {
-            const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-            const sessionData = {
-                id: sessionId,
-                name: `Session ${new Date().toLocaleString()}`,
-                url: window.location.href,
-                startTime: Date.now(),
-                actions: [],
-                settings: { ...this.stateManager.getState().settings },
-                metadata: {
-                    userAgent: navigator.userAgent,
-                    viewport: {
-                        width: window.innerWidth,
-                        height: window.innerHeight
-                    }
-                }
-            };
-
-            this.stateManager.setState({
-                currentSession: sessionData
-            });
-
-            console.log(`Enscriber: Initialized session ${sessionId}`);
+        createRecorders() {
+            if (this.autoRecorder) return;
+            
+            this.highlighter = new ElementHighlighter();
+            this.elementSelector = new ElementSelector(this.stateManager, this.highlighter);
+            this.autoRecorder = new AutoRecorder(this.stateManager, this.elementSelector, this.highlighter);
         }
 
         /**
-         * Clean up resources
+         * Send actions recorded or updated in this frame to the parent window
+         * @param {SessionData|null} session - Session after the change
+         * @param {SessionData|null} prevSession - Session before the change
          */
-        destroy() {
-            this.stopRecording();
-            if (this.networkMonitor) {
-                this.networkMonitor.destroy();
-            }
-            this.recordedActions = [];
+        forwardActionChanges(session, prevSession) {
+            if (!session || !prevSession || session.id !== prevSession.id) return;
+            
+            const previousActions = new Map(prevSession.actions.map(action => [action.id, action]));
+            session.actions.forEach(action => {
+                const previousAction = previousActions.get(action.id);
+                if (previousAction === action) return;
+                
+                // Send the stored form of the action; live values such as SVG class names cannot be cloned
+                window.parent.postMessage({
+                    enscriber: 'frame-action',
+                    op: previousAction ? 'update' : 'append',
+                    nonce: this.nonce,
+                    action: JSON.parse(JSON.stringify(action))
+                }, '*');
+            });
         }
     }
 
@@ -1601,6 +6674,7 @@
             this.elementSelector = null;
             this.recordingEngine = null;
             this.eventListeners = new Map();
+            this.pausedForVisibility = false;
             
             // Bind methods to preserve context
             this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
@@ -1639,12 +6713,14 @@
                 // Set up global event listeners
                 this.setupGlobalEventListeners();
 
-                // Initialize state
-                this.stateManager.setState({
-                    mode: ENSCRIBER_CONFIG.modes.INACTIVE,
-                    isRecording: false,
-                    selectedElement: null
-                });
+                // Continue a recording from the previous page, otherwise start inactive
+                if (!this.recordingEngine.restoreActiveRecording()) {
+                    this.stateManager.setState({
+                        mode: ENSCRIBER_CONFIG.modes.INACTIVE,
+                        isRecording: false,
+                        selectedElement: null
+                    });
+                }
 
                 this.isInitialized = true;
                 console.log('Enscriber: Initialization complete');
@@ -1777,7 +6853,7 @@
 
             this.stateManager.setState({
                 isPaused: false,
-                mode: ENSCRIBER_CONFIG.modes.AUTO_RECORDING
+                mode: this.recordingEngine.getConfiguredMode()
             });
 
             console.log('Enscriber: Session resumed');
@@ -1860,11 +6936,22 @@
          * Handle page visibility changes
          */
         handleVisibilityChange() {
+            const state = this.stateManager.getState();
+            
             if (document.hidden) {
                 // Page is hidden, pause recording if active
-                const state = this.stateManager.getState();
                 if (state.isRecording && !state.isPaused) {
+                    // Hand the session over to the page the user switched to, such as a popup
+                    this.stateManager.saveActiveSession();
                     this.pauseSession();
+                    this.pausedForVisibility = true;
+                }
+            } else if (this.pausedForVisibility) {
+                this.pausedForVisibility = false;
+                
+                // Continue with the actions other pages recorded meanwhile
+                if (state.isPaused && this.recordingEngine.reloadActiveSession()) {
+                    this.resumeSession();
                 }
             }
         }
@@ -1875,6 +6962,10 @@
         handleBeforeUnload() {
             // Save current session if active
             const state = this.stateManager.getState();
+            if (this.recordingEngine && this.recordingEngine.isCurrentlyRecording()) {
+                // Flush the in-progress session for the next page to resume
+                this.stateManager.saveActiveSession();
+            }
             if (state.currentSession) {
                 this.saveSession({
                     ...state.currentSession,
@@ -1945,8 +7036,19 @@
     class UIManager {
         constructor(stateManager) {
             this.stateManager = stateManager;
+            this.selectorGenerator = new SelectorGenerator(stateManager);
             this.recordingEngine = null;
             this.shadowRoot = null;
+            
+            // Action types offered in the edit dialog
+            this.actionTypeLabels = {
+                click: 'Click', dblclick: 'Double Click', rightclick: 'Right Click', input: 'Input',
+                hover: 'Hover', check: 'Check', select: 'Select', submit: 'Submit', press: 'Press Key',
+                drag: 'Drag', upload: 'Upload', paste: 'Paste', copy: 'Copy', cut: 'Cut',
+                dialog: 'Dialog', navigation: 'Navigation', popup: 'New Page'
+            };
+            // Types whose export relies on details other than an element
+            this.elementlessActionTypes = ['dialog', 'navigation', 'popup'];
             this.panelElement = null;
             this.isDragging = false;
             this.isResizing = false;
@@ -2221,6 +7323,75 @@
                     margin-top: 2px;
                 }
 
+                /* Selector candidates */
+                .enscriber-candidate-list {
+                    list-style: none;
+                    margin: 8px 0 0 0;
+                    padding: 0;
+                }
+
+                .enscriber-candidate {
+                    padding: 6px 8px;
+                    border: 1px solid #e2e8f0;
+                    border-radius: 4px;
+                    margin-bottom: 4px;
+                    cursor: pointer;
+                }
+
+                .enscriber-candidate:hover {
+                    background: #f7fafc;
+                }
+
+                .enscriber-candidate.pinned {
+                    border-color: #667eea;
+                    background: #eef2ff;
+                }
+
+                .enscriber-candidate-details {
+                    font-size: 11px;
+                    color: #718096;
+                }
+
+                .enscriber-candidate-details.ambiguous {
+                    color: #dc2626;
+                }
+
+                .enscriber-candidate-selector {
+                    font-family: 'Courier New', monospace;
+                    font-size: 11px;
+                    word-break: break-all;
+                }
+
+                .enscriber-candidate-warning {
+                    font-size: 11px;
+                    color: #dc2626;
+                    margin-top: 4px;
+                }
+
+                /* Selector playground */
+                .enscriber-playground-input {
+                    width: 100%;
+                    border: 1px solid #e2e8f0;
+                    border-radius: 4px;
+                    padding: 6px 8px;
+                    font-family: 'Courier New', monospace;
+                    font-size: 12px;
+                    box-sizing: border-box;
+                }
+
+                .enscriber-playground-input:focus {
+                    outline: none;
+                    border-color: #667eea;
+                }
+
+                .enscriber-playground-status {
+                    margin-top: 4px;
+                }
+
+                .enscriber-playground-status.error {
+                    color: #dc2626;
+                }
+
                 /* Notes section */
                 .enscriber-notes-textarea {
                     width: 100%;
@@ -2522,6 +7693,10 @@
             const notesSection = this.createSection('Notes', this.createNotesContent());
             content.appendChild(notesSection);
             
+            // Selector Playground Section
+            const playgroundSection = this.createSection('Selector Playground', this.createPlaygroundContent());
+            content.appendChild(playgroundSection);
+            
             return content;
         }
 
@@ -2638,6 +7813,63 @@
             return container;
         }
 
+        /**
+         * Create selector playground content
+         */
+        createPlaygroundContent() {
+            const container = document.createElement('div');
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'enscriber-playground-input';
+            input.placeholder = 'CSS, XPath or role=button[name="Submit"]';
+            input.spellcheck = false;
+            
+            const status = document.createElement('div');
+            status.className = 'enscriber-playground-status enscriber-text-small enscriber-text-muted';
+            status.textContent = 'Matches are numbered on the page as you type';
+            
+            input.addEventListener('input', EnscribeUtils.debounce(() => {
+                this.runPlayground(input.value, status);
+            }, 150));
+            
+            container.appendChild(input);
+            container.appendChild(status);
+            
+            return container;
+        }
+
+        /**
+         * Evaluate the playground selector against the page and number its matches
+         * @param {string} selector - Selector typed in the playground
+         * @param {HTMLElement} status - Element showing the match count or error
+         */
+        runPlayground(selector, status) {
+            const highlighter = this.recordingEngine ? this.recordingEngine.highlighter : null;
+            if (highlighter) {
+                highlighter.hideMatches();
+            }
+            
+            status.classList.remove('error');
+            if (!selector.trim()) {
+                status.textContent = 'Matches are numbered on the page as you type';
+                return;
+            }
+            
+            try {
+                const matches = this.selectorGenerator.evaluateSelector(selector.trim(), document);
+                const hidden = matches.filter(element => !EnscribeUtils.isElementVisible(element)).length;
+                status.textContent = `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}` +
+                    (hidden > 0 ? `, ${hidden} hidden` : '');
+                if (highlighter) {
+                    highlighter.highlightMatches(matches, 'hover', true);
+                }
+            } catch (error) {
+                status.textContent = error.message;
+                status.classList.add('error');
+            }
+        }
+
         /**
          * Create network requests content
          */
@@ -2677,8 +7909,9 @@
             startBtn.addEventListener('click', () => this.handleStartRecording());
             
             const modeBtn = document.createElement('button');
-            modeBtn.className = 'enscriber-btn-secondary';
-            modeBtn.textContent = 'Auto Mode';
+            modeBtn.className = 'enscriber-btn-secondary enscriber-mode-btn';
+            modeBtn.title = 'Switch between auto recording and manual selection';
+            modeBtn.addEventListener('click', () => this.handleToggleMode());
             
             leftSection.appendChild(startBtn);
             leftSection.appendChild(modeBtn);
@@ -2710,6 +7943,8 @@
             footer.appendChild(leftSection);
             footer.appendChild(rightSection);
             
+            this.updateModeButton(modeBtn, this.stateManager.getState().settings.recordingMode);
+            
             return footer;
         }
 
@@ -2763,6 +7998,13 @@
             // Listen for recording mode changes
             this.stateManager.addListener('recording', (newState, prevState) => {
                 this.updateRecordingStatus(newState, prevState);
+                
+                if (newState.settings.recordingMode !== prevState.settings.recordingMode) {
+                    this.updateModeButton(
+                        this.shadowRoot.querySelector('.enscriber-mode-btn'),
+                        newState.settings.recordingMode
+                    );
+                }
             });
 
             // Listen for element selection changes
@@ -2999,13 +8241,38 @@
                 } else if (currentState.mode === ENSCRIBER_CONFIG.modes.PAUSED) {
                     // Resume recording
                     this.stateManager.setState({
-                        mode: ENSCRIBER_CONFIG.modes.MANUAL_SELECTION,
+                        mode: this.recordingEngine.getConfiguredMode(),
                         isPaused: false
                     });
                 }
             }
         }
 
+        /**
+         * Handle mode button click by switching the configured recording mode
+         */
+        handleToggleMode() {
+            const settings = this.stateManager.getState().settings;
+            
+            this.stateManager.setState({
+                settings: {
+                    ...settings,
+                    recordingMode: settings.recordingMode === 'manual' ? 'auto' : 'manual'
+                }
+            });
+        }
+
+        /**
+         * Update mode button label to reflect the configured recording mode
+         * @param {HTMLButtonElement} modeBtn - Mode button
+         * @param {string} recordingMode - Configured recording mode ('auto' or 'manual')
+         */
+        updateModeButton(modeBtn, recordingMode) {
+            if (modeBtn) {
+                modeBtn.textContent = recordingMode === 'manual' ? 'Manual Mode' : 'Auto Mode';
+            }
+        }
+
         /**
          * Update status display
          */
@@ -3107,22 +8374,23 @@
                             const actionType = document.createElement('div');
                             actionType.className = 'enscriber-action-type';
                             actionType.textContent = `${index + 1}. ${action.type.toUpperCase()}`;
+                            if (action.type === 'press' && action.value) {
+                                actionType.textContent += ` ${action.value}`;
+                            }
+                            if (action.modifiers && action.modifiers.length > 0) {
+                                actionType.textContent += ` [${action.modifiers.join('+')}]`;
+                            }
+                            if (action.page && action.page !== 'page') {
+                                actionType.textContent += ` (${action.page})`;
+                            }
+                            if (action.opensNewPage) {
+                                actionType.textContent += ` → opens ${action.newPage}`;
+                            }
                             
                             const actionElement = document.createElement('div');
                             actionElement.className = 'enscriber-action-element';
                             
-                            let elementDescription = action.element.tagName;
-                            if (action.element.id) {
-                                elementDescription += `#${action.element.id}`;
-                            } else if (action.element.className) {
-                                const firstClass = action.element.className.split(' ')[0];
-                                elementDescription += `.${firstClass}`;
-                            }
-                            if (action.element.textContent) {
-                                elementDescription += ` "${action.element.textContent.substring(0, 20)}${action.element.textContent.length > 20 ? '...' : ''}"`;
-                            }
-                            
-                            actionElement.textContent = elementDescription;
+                            actionElement.textContent = this.describeActionTarget(action);
                             
                             actionContent.appendChild(actionType);
                             actionContent.appendChild(actionElement);
@@ -3221,6 +8489,59 @@
             }
         }
 
+        /**
+         * Describe what an action targets for the action list
+         * @param {ActionRecord} action - Action record
+         * @returns {string} Short description
+         */
+        describeActionTarget(action) {
+            if (action.networkRequest) {
+                return `${action.networkRequest.method} ${action.networkRequest.url}`;
+            }
+            if (action.navigation) {
+                return `${action.navigation.trigger}: ${action.navigation.url}`;
+            }
+            if (action.dialog) {
+                return `${action.dialog.type}: "${action.dialog.message}" → ${action.value}`;
+            }
+            if (action.type === 'popup') {
+                return action.value;
+            }
+            if (!action.element) {
+                return '';
+            }
+            const target = action.type === 'drag' && action.dropTarget
+                ? `${this.describeElement(action.element)} → ${this.describeElement(action.dropTarget)}`
+                : this.describeElement(action.element);
+            
+            if (action.framePath) {
+                return `${target} in ${action.framePath.map(frame => frame.selector).join(' > ')}`;
+            }
+            return target;
+        }
+
+        /**
+         * Describe an element for display
+         * @param {ElementMetadata} element - Element metadata
+         * @returns {string} Short description
+         */
+        describeElement(element) {
+            let elementDescription = element.tagName;
+            if (element.id) {
+                elementDescription += `#${element.id}`;
+            } else if (element.className) {
+                const firstClass = element.className.split(' ')[0];
+                elementDescription += `.${firstClass}`;
+            }
+            if (element.textContent) {
+                elementDescription += ` "${element.textContent.substring(0, 20)}${element.textContent.length > 20 ? '...' : ''}"`;
+            }
+            if (element.shadowHosts && element.shadowHosts.length > 0) {
+                elementDescription = `${element.shadowHosts.map(host => host.selector).join(' › ')} › ${elementDescription}`;
+            }
+            return elementDescription;
+        }
+
         /**
          * Update network requests list display
          */
@@ -3403,6 +8724,7 @@
          */
         showNetworkActionDialog(request) {
             const dialog = document.createElement('div');
+            dialog.className = 'enscriber-dialog';
             dialog.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -3538,6 +8860,20 @@
             }
         }
 
+        /**
+         * Get the types an action can be switched to without losing the data its export needs
+         * @param {ActionRecord} action - Action being edited
+         * @returns {string[]} Action types
+         */
+        getEditableActionTypes(action) {
+            // Dialogs, navigations and pages opened without an opener have no element,
+            // and element actions carry no dialog or navigation details
+            if (!action.element) return [action.type];
+            
+            const types = Object.keys(this.actionTypeLabels).filter(type => !this.elementlessActionTypes.includes(type));
+            return types.includes(action.type) ? types : [action.type, ...types];
+        }
+
         /**
          * Edit an action in the list
          */
@@ -3550,6 +8886,7 @@
             const action = state.currentSession.actions[actionIndex];
             
             const dialog = document.createElement('div');
+            dialog.className = 'enscriber-dialog';
             dialog.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -3577,13 +8914,20 @@
                 <div style="margin-bottom: 15px;">
                     <label style="display: block; margin-bottom: 5px; font-weight: 500;">Action Type:</label>
                     <select id="action-type" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px;">
-                        <option value="click" ${action.type === 'click' ? 'selected' : ''}>Click</option>
-                        <option value="input" ${action.type === 'input' ? 'selected' : ''}>Input</option>
-                        <option value="hover" ${action.type === 'hover' ? 'selected' : ''}>Hover</option>
-                        <option value="check" ${action.type === 'check' ? 'selected' : ''}>Check</option>
-                        <option value="select" ${action.type === 'select' ? 'selected' : ''}>Select</option>
+                        ${this.getEditableActionTypes(action).map(type => `
+                            <option value="${type}" ${action.type === type ? 'selected' : ''}>${this.actionTypeLabels[type] || type}</option>
+                        `).join('')}
                     </select>
                 </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Modifiers (clicks only):</label>
+                    ${['Alt', 'Control', 'Meta', 'Shift'].map(modifier => `
+                        <label style="margin-right: 10px;">
+                            <input type="checkbox" class="action-modifier" value="${modifier}" ${(action.modifiers || []).includes(modifier) ? 'checked' : ''}>
+                            ${modifier}
+                        </label>
+                    `).join('')}
+                </div>
                 <div style="margin-bottom: 15px;">
                     <label style="display: block; margin-bottom: 5px; font-weight: 500;">Value:</label>
                     <input type="text" id="action-value" value="${action.value || ''}" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px;">
@@ -3625,6 +8969,52 @@
                     notes: content.querySelector('#action-notes').value
                 };
                 
+                // Click variants replay with the modifier keys ticked in the dialog
+                const modifiers = Array.from(content.querySelectorAll('.action-modifier:checked'))
+                    .map(checkbox => checkbox.value);
+                if (['click', 'dblclick', 'rightclick'].includes(updatedAction.type) && modifiers.length > 0) {
+                    updatedAction.modifiers = modifiers;
+                } else {
+                    delete updatedAction.modifiers;
+                }
+                
+                // Navigation actions export the URL stored with the navigation details
+                if (updatedAction.navigation) {
+                    updatedAction.navigation = { ...updatedAction.navigation, url: updatedAction.value };
+                }
+                
+                // Dialog actions export the response stored with the dialog details
+                if (updatedAction.dialog) {
+                    const accepted = updatedAction.value !== 'dismiss';
+                    updatedAction.dialog = {
+                        ...updatedAction.dialog,
+                        accepted: accepted,
+                        promptText: updatedAction.dialog.type === 'prompt' && accepted ? updatedAction.value : null
+                    };
+                }
+                
+                // Select actions export their options, edited as comma-separated values or labels
+                if (updatedAction.type === 'select' && updatedAction.value !== action.value) {
+                    updatedAction.options = updatedAction.value.split(',')
+                        .map(option => option.trim())
+                        .filter(option => option)
+                        .map(option => ({ value: option, label: option }));
+                }
+                
+                // Test data typed over a placeholder, or a pasted text edited by hand, replaces the recorded text
+                if (updatedAction.value !== action.value) {
+                    delete updatedAction.redacted;
+                    delete updatedAction.fieldValue;
+                }
+                
+                // Upload actions export their file list, edited as comma-separated names
+                if (updatedAction.type === 'upload' && updatedAction.value !== action.value) {
+                    updatedAction.files = updatedAction.value.split(',')
+                        .map(name => name.trim())
+                        .filter(name => name)
+                        .map(name => ({ name }));
+                }
+                
                 const updatedActions = [...state.currentSession.actions];
                 updatedActions[actionIndex] = updatedAction;
                 
@@ -3694,6 +9084,7 @@
                                 </div>
                             </div>
                         `;
+                        selectorContent.appendChild(this.createCandidateList(newState.selectedElement));
                     } else {
                         selectorContent.innerHTML = '<div class="enscriber-text-muted enscriber-text-small">No element selected</div>';
                     }
@@ -3701,6 +9092,104 @@
             }
         }
 
+        /**
+         * List the selected element's candidate selectors with their live match counts.
+         * Hovering a candidate highlights its matches; clicking pins it for export.
+         * @param {{element: Element, metadata: ElementMetadata, actionId: string}} selectedElement - Selected element
+         * @returns {HTMLElement} Candidate list
+         */
+        createCandidateList(selectedElement) {
+            const list = document.createElement('ul');
+            list.className = 'enscriber-candidate-list';
+            
+            const selectors = selectedElement.metadata.selectors;
+            if (!selectors || !selectors.ranked) return list;
+            
+            const generator = this.selectorGenerator;
+            // Elements of cross-origin frames and of pages left since cannot be looked for here
+            const element = selectedElement.element;
+            const doc = element && element.isConnected ? element.ownerDocument : null;
+            const elements = doc ? generator.collectElements(doc) : [];
+            
+            selectors.ranked.forEach(candidate => {
+                const matches = doc ? generator.findCandidateMatches(candidate, doc, elements) : null;
+                const item = document.createElement('li');
+                item.className = 'enscriber-candidate';
+                if (candidate.selector === selectors.pinned) {
+                    item.classList.add('pinned');
+                }
+                item.title = candidate.selector === selectors.pinned ? 'Pinned for export; click to unpin' : 'Click to use this selector in export';
+                
+                const details = document.createElement('div');
+                details.className = 'enscriber-candidate-details';
+                const strategy = candidate.refinement ? `${candidate.strategy}, ${candidate.refinement}` : candidate.strategy;
+                details.textContent = `${strategy} · ${Math.round(candidate.confidence * 100)}% · ` +
+                    (matches ? `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}` : 'not evaluable here');
+                if (matches && matches.length !== 1) {
+                    details.classList.add('ambiguous');
+                }
+                
+                const selector = document.createElement('div');
+                selector.className = 'enscriber-candidate-selector';
+                selector.textContent = candidate.selector;
+                
+                item.appendChild(details);
+                item.appendChild(selector);
+                
+                item.addEventListener('mouseenter', () => {
+                    if (this.recordingEngine && doc) {
+                        this.recordingEngine.highlighter.highlightMatches(generator.findCandidateMatches(candidate, doc), 'selected');
+                    }
+                });
+                item.addEventListener('mouseleave', () => {
+                    if (this.recordingEngine) {
+                        this.recordingEngine.highlighter.hideMatches();
+                    }
+                });
+                item.addEventListener('click', () => {
+                    if (candidate.selector === selectors.pinned) {
+                        this.pinSelector(selectedElement, null);
+                        return;
+                    }
+                    
+                    // Strict mode fails on selectors matching several elements, so pinning one takes a second click
+                    const matchCount = matches ? matches.length : candidate.matchCount;
+                    if (matchCount > 1 && !item.querySelector('.enscriber-candidate-warning')) {
+                        const warning = document.createElement('div');
+                        warning.className = 'enscriber-candidate-warning';
+                        warning.textContent = `Matches ${matchCount} elements, so the exported step fails in strict mode. Click again to pin it anyway.`;
+                        item.appendChild(warning);
+                        return;
+                    }
+                    this.pinSelector(selectedElement, candidate.selector);
+                });
+                
+                list.appendChild(item);
+            });
+            
+            return list;
+        }
+
+        /**
+         * Pin a candidate selector as the one export uses for the selected element's action
+         * @param {{metadata: ElementMetadata, actionId: string}} selectedElement - Selected element
+         * @param {string|null} selector - Candidate selector, or null to let export choose again
+         */
+        pinSelector(selectedElement, selector) {
+            const metadata = {
+                ...selectedElement.metadata,
+                selectors: { ...selectedElement.metadata.selectors, pinned: selector || undefined }
+            };
+            
+            if (selectedElement.actionId) {
+                this.stateManager.updateAction(selectedElement.actionId, { element: metadata });
+            }
+            if (this.recordingEngine) {
+                this.recordingEngine.highlighter.hideMatches();
+            }
+            this.stateManager.setState({ selectedElement: { ...selectedElement, metadata: metadata } });
+        }
+
         /**
          * Handle export functionality
          */
@@ -3723,14 +9212,66 @@
             let code = `// Generated Playwright automation script\n`;
             code += `// Session: ${session.name}\n`;
             code += `// URL: ${session.url}\n`;
-            code += `// Generated: ${new Date().toLocaleString()}\n\n`;
+            code += `// Generated: ${new Date().toLocaleString()}\n`;
+            
+            // getByTestId reads the attribute set in playwright.config
+            const testIdAttribute = this.stateManager.getState().sitePreferences.testIdAttribute;
+            if (testIdAttribute !== 'data-testid') {
+                code += `// playwright.config: use: { testIdAttribute: '${EnscribeUtils.escapeString(testIdAttribute)}' }\n`;
+            }
+            code += `\n`;
+            
+            const usesClipboard = actions.some(action => action.type === 'paste' &&
+                (this.stateManager.getState().settings.clipboardExportStyle === 'clipboard' || action.inputMethod === 'clipboard'));
+            
+            // Tests that follow popups need the browser context to wait for new pages,
+            // and pasting through the clipboard needs it to grant clipboard access
+            const fixtures = actions.some(action => action.opensNewPage) || usesClipboard ? '{ page, context }' : '{ page }';
             
             code += `import { test, expect } from '@playwright/test';\n\n`;
-            code += `test('${session.name}', async ({ page }) => {\n`;
+            code += `test('${session.name}', async (${fixtures}) => {\n`;
+            if (usesClipboard) {
+                code += `  await context.grantPermissions(['clipboard-read', 'clipboard-write']);\n`;
+            }
+            
+            // Pages opened without a recorded opener are waited for from before the step preceding them
+            const popupWaits = this.groupPopupWaitsByStep(actions);
+            code += this.generatePopupWaitCode(popupWaits.get(-1));
             code += `  // Navigate to the page\n`;
             code += `  await page.goto('${session.url}');\n\n`;
             
+            const dialogHandlers = this.groupDialogsByTrigger(actions);
+            
             actions.forEach((action, index) => {
+                // Actions recorded in popups address the page variable the opener created
+                const pageVar = action.page || 'page';
+                
+                code += this.generatePopupWaitCode(popupWaits.get(index));
+                
+                // Dialog handlers must be registered before the step that raises the dialog
+                if (dialogHandlers.has(index)) {
+                    code += this.generateDialogHandlerCode(dialogHandlers.get(index), pageVar);
+                }
+                
+                if (action.dialog) {
+                    code += `  // Action ${index + 1}: ${action.dialog.type} dialog handled above\n`;
+                    
+                    if (action.notes) {
+                        code += `  // Notes: ${action.notes}\n`;
+                    }
+                    code += `\n`;
+                    return;
+                }
+                
+                if (action.type === 'popup') {
+                    code += `  // Action ${index + 1}: ${action.newPage} opened at ${action.value}\n`;
+                    code += this.generateNewPageCode(null, action.newPage);
+                    code += `\n`;
+                    return;
+                }
+                
+                const actionStart = code.length;
+                
                 if (action.networkRequest) {
                     // Handle network request actions
                     code += `  // Network Action ${index + 1}: ${action.type} for ${action.networkRequest.method} ${action.networkRequest.url}\n`;
@@ -3741,16 +9282,16 @@
                     
                     switch (action.type) {
                         case 'waitForResponse':
-                            code += `  const response${index} = await page.waitForResponse('${action.networkRequest.url}');\n`;
+                            code += `  const response${index} = await ${pageVar}.waitForResponse('${action.networkRequest.url}');\n`;
                             code += `  expect(response${index}.status()).toBe(${action.networkRequest.status || 200});\n`;
                             break;
                         case 'waitForRequest':
-                            code += `  const request${index} = await page.waitForRequest('${action.networkRequest.url}');\n`;
+                            code += `  const request${index} = await ${pageVar}.waitForRequest('${action.networkRequest.url}');\n`;
                             code += `  expect(request${index}.method()).toBe('${action.networkRequest.method}');\n`;
                             break;
                         case 'route':
                             code += `  // Mock/route the request\n`;
-                            code += `  await page.route('${action.networkRequest.url}', route => {\n`;
+                            code += `  await ${pageVar}.route('${action.networkRequest.url}', route => {\n`;
                             code += `    route.fulfill({\n`;
                             code += `      status: ${action.networkRequest.status || 200},\n`;
                             code += `      contentType: 'application/json',\n`;
@@ -3759,56 +9300,101 @@
                             code += `  });\n`;
                             break;
                     }
+                } else if (action.navigation) {
+                    code += `  // Action ${index + 1}: navigation (${action.navigation.trigger}) to ${action.navigation.url}\n`;
+                    
+                    if (action.notes) {
+                        code += `  // Notes: ${action.notes}\n`;
+                    }
+                    
+                    code += this.generateNavigationCode(action.navigation, pageVar);
                 } else if (action.element) {
                     // Handle element actions
                     code += `  // Action ${index + 1}: ${action.type} on ${action.element.tagName}`;
                     if (action.element.id) code += `#${action.element.id}`;
                     if (action.element.className) code += `.${action.element.className.split(' ')[0]}`;
+                    if (action.framePath) code += ` in ${action.framePath.map(frame => frame.selector).join(' > ')}`;
                     code += `\n`;
                     
                     if (action.notes) {
                         code += `  // Notes: ${action.notes}\n`;
                     }
                     
-                    // Generate selector priority: ID > data-testid > class > text > xpath
-                    let selector = '';
-                    if (action.element.id) {
-                        selector = `#${action.element.id}`;
-                    } else if (action.element.attributes && action.element.attributes['data-testid']) {
-                        selector = `[data-testid="${action.element.attributes['data-testid']}"]`;
-                    } else if (action.element.className) {
-                        const firstClass = action.element.className.split(' ')[0];
-                        selector = `.${firstClass}`;
-                    } else if (action.element.textContent) {
-                        selector = `text="${action.element.textContent.substring(0, 30)}"`;
-                    } else {
-                        selector = action.element.xpath;
+                    const selectorCandidate = this.getSelectorCandidate(action.element, true);
+                    if (selectorCandidate && selectorCandidate.matchCount > 1) {
+                        code += `  // Ambiguous: this locator matched ${selectorCandidate.matchCount} elements when recorded\n`;
                     }
                     
+                    // Locators are scoped to the frames the element was recorded in
+                    const locator = this.getLocatorCode(action.element, action.framePath, pageVar);
+                    
                     switch (action.type) {
                         case 'click':
-                            code += `  await page.click('${selector}');\n`;
+                            code += this.generateClickCode(action, locator, 'click', index);
+                            break;
+                        case 'dblclick':
+                            code += this.generateClickCode(action, locator, 'dblclick', index);
+                            break;
+                        case 'rightclick':
+                            code += this.generateClickCode(action, locator, 'click', index, { button: 'right' });
                             break;
                         case 'input':
-                            code += `  await page.fill('${selector}', '${action.value || ''}');\n`;
+                            if (action.redacted) {
+                                code += `  // Text typed into a sensitive field was redacted; replace the placeholder with test data\n`;
+                            }
+                            if (action.inputMethod === 'pressSequentially') {
+                                code += `  await ${locator}.pressSequentially('${EnscribeUtils.escapeString(action.value)}');\n`;
+                            } else {
+                                code += `  await ${locator}.fill('${EnscribeUtils.escapeString(action.value)}');\n`;
+                            }
                             break;
                         case 'hover':
-                            code += `  await page.hover('${selector}');\n`;
+                            code += `  await ${locator}.hover();\n`;
                             break;
                         case 'check':
                             if (action.value === 'checked') {
-                                code += `  await page.check('${selector}');\n`;
+                                code += `  await ${locator}.check();\n`;
                             } else {
-                                code += `  await page.uncheck('${selector}');\n`;
+                                code += `  await ${locator}.uncheck();\n`;
                             }
                             break;
                         case 'select':
-                            code += `  await page.selectOption('${selector}', '${action.value || ''}');\n`;
+                            code += `  await ${locator}.selectOption(${this.generateSelectOptionArgument(action)});\n`;
+                            break;
+                        case 'submit':
+                            code += `  await ${locator}.evaluate(form => form.requestSubmit());\n`;
+                            break;
+                        case 'drag':
+                            code += this.generateDragCode(action, locator, pageVar);
+                            break;
+                        case 'paste':
+                            code += this.generatePasteCode(action, locator, pageVar);
+                            break;
+                        case 'copy':
+                        case 'cut':
+                            // Later steps replay what was done with the text; a paste writes the clipboard itself
+                            code += `  // ${action.type === 'cut' ? 'Cut' : 'Copied'}: '${EnscribeUtils.escapeString(action.value)}'\n`;
+                            break;
+                        case 'upload':
+                            code += this.generateUploadCode(action, locator, index, pageVar);
+                            break;
+                        case 'press':
+                            // Presses without a focused element go to the page keyboard
+                            if (['body', 'html'].includes(action.element.tagName)) {
+                                code += `  await ${pageVar}.keyboard.press('${EnscribeUtils.escapeString(action.value)}');\n`;
+                            } else {
+                                code += `  await ${locator}.press('${EnscribeUtils.escapeString(action.value)}');\n`;
+                            }
                             break;
                         default:
-                            code += `  await page.click('${selector}');\n`;
+                            code += `  await ${locator}.click();\n`;
                     }
                 }
+                
+                // Wait for the page this step opens while performing it
+                if (action.opensNewPage) {
+                    code = code.slice(0, actionStart) + this.wrapNewPageCode(code.slice(actionStart), action.newPage);
+                }
                 code += `\n`;
             });
             
@@ -3819,11 +9405,485 @@
             return code;
         }
 
+        /**
+         * Generate code for a recorded navigation
+         * @param {Object} navigation - Navigation details
+         * @param {string} [pageVar] - Page variable the navigation happened in
+         * @returns {string} Generated code lines
+         */
+        generateNavigationCode(navigation, pageVar = 'page') {
+            const url = EnscribeUtils.escapeString(navigation.url);
+            
+            switch (navigation.cause) {
+                case 'typed':
+                    // Only a URL the user entered is replayed with goto
+                    return `  await ${pageVar}.goto('${url}');\n`;
+                case 'reload':
+                    return `  await ${pageVar}.reload();\n`;
+                case 'history':
+                    return navigation.direction === 'forward'
+                        ? `  await ${pageVar}.goForward();\n`
+                        : `  await ${pageVar}.goBack();\n`;
+                default:
+                    // Full loads are awaited; in-page route changes are asserted
+                    if (navigation.trigger === 'load') {
+                        return `  await ${pageVar}.waitForURL('${url}');\n`;
+                    }
+                    return `  await expect(${pageVar}).toHaveURL('${url}');\n`;
+            }
+        }
+
+        /**
+         * Generate code for a recorded paste
+         * @param {ActionRecord} action - Paste action
+         * @param {string} locator - Locator code for the field pasted into
+         * @param {string} [pageVar] - Page variable the paste happened in
+         * @returns {string} Generated code lines
+         */
+        generatePasteCode(action, locator, pageVar = 'page') {
+            const text = EnscribeUtils.escapeString(action.value);
+            let code = '';
+            
+            if (action.redacted) {
+                code += `  // Pasted text from a sensitive field was redacted; replace the placeholder with test data\n`;
+            }
+            
+            if (this.stateManager.getState().settings.clipboardExportStyle === 'clipboard' || action.inputMethod === 'clipboard') {
+                code += `  await ${pageVar}.evaluate(text => navigator.clipboard.writeText(text), '${text}');\n`;
+                code += `  await ${locator}.press('ControlOrMeta+V');\n`;
+            } else if (action.inputMethod === 'pressSequentially') {
+                code += `  await ${locator}.pressSequentially('${text}');\n`;
+            } else if (typeof action.fieldValue === 'string') {
+                // fill replaces the field's text, so it is given the text the paste was inserted into as well
+                code += `  await ${locator}.fill('${EnscribeUtils.escapeString(action.fieldValue)}');\n`;
+            } else {
+                code += `  await ${locator}.fill('${text}');\n`;
+            }
+            
+            return code;
+        }
+
+        /**
+         * Generate the argument for selectOption.
+         * Option values are matched first; labels are kept in the recording for display.
+         * @param {ActionRecord} action - Select action
+         * @returns {string} Value string or array literal for multiple options
+         */
+        generateSelectOptionArgument(action) {
+            // Sessions recorded before options were captured only have the label
+            if (!action.options) {
+                return `'${EnscribeUtils.escapeString(action.value)}'`;
+            }
+            
+            const values = action.options.map(option => `'${EnscribeUtils.escapeString(option.value)}'`);
+            return values.length === 1 ? values[0] : `[${values.join(', ')}]`;
+        }
+
+        /**
+         * Generate code for a click variant
+         * @param {ActionRecord} action - Click, dblclick or rightclick action
+         * @param {string} locator - Locator code for the clicked element
+         * @param {string} method - Locator method to call
+         * @param {number} index - Action index, used to name the bounding box variable
+         * @param {Object} [baseOptions] - Options implied by the action type
+         * @returns {string} Generated code lines
+         */
+        generateClickCode(action, locator, method, index, baseOptions = {}) {
+            let code = '';
+            const options = Object.entries(baseOptions).map(([key, value]) => `${key}: '${value}'`);
+            
+            if (action.modifiers && action.modifiers.length > 0) {
+                options.push(`modifiers: [${action.modifiers.map(modifier => `'${modifier}'`).join(', ')}]`);
+            }
+            
+            if (action.offset) {
+                if (this.stateManager.getState().settings.clickPositionUnit === 'percent') {
+                    // Scale the recorded point to the element's size at replay time
+                    code += `  const box${index} = await ${locator}.boundingBox();\n`;
+                    const xRatio = Number((action.offset.xPercent / 100).toFixed(3));
+                    const yRatio = Number((action.offset.yPercent / 100).toFixed(3));
+                    options.push(`position: { x: box${index}.width * ${xRatio}, y: box${index}.height * ${yRatio} }`);
+                } else {
+                    options.push(`position: { x: ${action.offset.x}, y: ${action.offset.y} }`);
+                }
+            }
+            
+            code += `  await ${locator}.${method}(${options.length > 0 ? `{ ${options.join(', ')} }` : ''});\n`;
+            return code;
+        }
+
+        /**
+         * Generate code for a recorded drag
+         * @param {ActionRecord} action - Drag action
+         * @param {string} locator - Locator code for the dragged element
+         * @param {string} [pageVar] - Page variable the drag happened in
+         * @returns {string} Generated code lines
+         */
+        generateDragCode(action, locator, pageVar = 'page') {
+            if (action.dropTarget) {
+                const targetLocator = this.getLocatorCode(action.dropTarget, action.framePath, pageVar);
+                return `  await ${locator}.dragTo(${targetLocator});\n`;
+            }
+            
+            // Actions changed to drags in the edit dialog have no recorded movement to replay
+            if (!action.drag || !action.drag.from || !action.drag.to) {
+                let code = `  // The drop target of this drag was not recorded; replace the placeholder with it\n`;
+                code += `  await ${locator}.dragTo(${pageVar}.locator('DROP_TARGET_SELECTOR'));\n`;
+                return code;
+            }
+            
+            // Without a distinct drop target replay the raw pointer movement
+            const { from, to } = action.drag;
+            let code = `  await ${pageVar}.mouse.move(${Math.round(from.x)}, ${Math.round(from.y)});\n`;
+            code += `  await ${pageVar}.mouse.down();\n`;
+            code += `  await ${pageVar}.mouse.move(${Math.round(to.x)}, ${Math.round(to.y)}, { steps: 10 });\n`;
+            code += `  await ${pageVar}.mouse.up();\n`;
+            return code;
+        }
+
+        /**
+         * Group dialog actions by the index of the step that raised them
+         * @param {Array<ActionRecord>} actions - Session actions
+         * @returns {Map<number, Array<Object>>} Dialogs keyed by triggering action index
+         */
+        groupDialogsByTrigger(actions) {
+            const groups = new Map();
+            let triggerIndex = 0;
+            
+            actions.forEach((action, index) => {
+                if (!action.dialog) {
+                    triggerIndex = index;
+                    return;
+                }
+                if (!groups.has(triggerIndex)) {
+                    groups.set(triggerIndex, []);
+                }
+                groups.get(triggerIndex).push(action.dialog);
+            });
+            return groups;
+        }
+
+        /**
+         * Group pages opened without a recorded opener by the step their wait starts before.
+         * The page may have opened by the time its popup step is reached, so the wait starts
+         * before the step preceding it, or before the page is loaded if there is none.
+         * @param {Array<ActionRecord>} actions - Session actions
+         * @returns {Map<number, string[]>} Page variables keyed by action index, -1 for before goto
+         */
+        groupPopupWaitsByStep(actions) {
+            const groups = new Map();
+            
+            actions.forEach((action, index) => {
+                if (action.type !== 'popup') return;
+                
+                let stepIndex = index - 1;
+                while (stepIndex >= 0 && actions[stepIndex].dialog) {
+                    stepIndex--;
+                }
+                // A wait started alongside another page's would resolve to that page
+                if (stepIndex >= 0 && actions[stepIndex].opensNewPage) {
+                    stepIndex++;
+                }
+                
+                if (!groups.has(stepIndex)) {
+                    groups.set(stepIndex, []);
+                }
+                groups.get(stepIndex).push(action.newPage);
+            });
+            return groups;
+        }
+
+        /**
+         * Generate code that starts waiting for pages opened without a recorded opener
+         * @param {string[]} [newPages] - Variables for the opened pages
+         * @returns {string} Generated code lines
+         */
+        generatePopupWaitCode(newPages) {
+            return (newPages || []).map(newPage => `  const ${newPage}Promise = context.waitForEvent('page');\n`).join('');
+        }
+
+        /**
+         * Generate a dialog handler for the dialogs raised by one step
+         * @param {Array<Object>} dialogs - Dialog details in the order they appeared
+         * @param {string} [pageVar] - Page variable the dialogs appear in
+         * @returns {string} Generated code lines
+         */
+        generateDialogHandlerCode(dialogs, pageVar = 'page') {
+            let code = '';
+            dialogs.forEach(dialog => {
+                code += `  // Expect ${dialog.type}: "${dialog.message.replace(/\s+/g, ' ')}"\n`;
+            });
+            code += `  ${pageVar}.once('dialog', ${this.generateDialogCallback(dialogs, pageVar)});\n`;
+            return code;
+        }
+
+        /**
+         * Generate a dialog callback that registers the handler for the next dialog in turn
+         * @param {Array<Object>} dialogs - Remaining dialog details
+         * @param {string} [pageVar] - Page variable the dialogs appear in
+         * @returns {string} Callback source
+         */
+        generateDialogCallback(dialogs, pageVar = 'page') {
+            const [dialog, ...rest] = dialogs;
+            let response;
+            if (!dialog.accepted) {
+                response = 'dialog.dismiss()';
+            } else if (dialog.type === 'prompt') {
+                response = `dialog.accept('${EnscribeUtils.escapeString(dialog.promptText)}')`;
+            } else {
+                response = 'dialog.accept()';
+            }
+            
+            if (rest.length === 0) {
+                return `dialog => ${response}`;
+            }
+            return `dialog => { ${pageVar}.once('dialog', ${this.generateDialogCallback(rest, pageVar)}); return ${response}; }`;
+        }
+
+        /**
+         * Generate code for a recorded file upload
+         * @param {ActionRecord} action - Upload action
+         * @param {string} locator - Locator code for the file input
+         * @param {number} index - Action index, used to name variables
+         * @param {string} [pageVar] - Page variable the upload happened in
+         * @returns {string} Generated code lines
+         */
+        generateUploadCode(action, locator, index, pageVar = 'page') {
+            const fixturesDir = ENSCRIBER_CONFIG.export.fixturesDir;
+            const files = action.files && action.files.length > 0
+                ? action.files
+                : [{ name: 'file-to-upload' }];
+            const paths = files.map(file => `'${fixturesDir}/${EnscribeUtils.escapeString(file.name)}'`).join(', ');
+            
+            let code = '';
+            files.forEach(file => {
+                if (file.type || file.size) {
+                    // File names may contain line breaks, which would end the comment
+                    code += `  // ${EnscribeUtils.escapeString(file.name)}: ${EnscribeUtils.escapeString(file.type || 'unknown type')}, ${Number(file.size) || 0} bytes\n`;
+                }
+            });
+            
+            if (action.trigger) {
+                // The input is opened indirectly, so wait for the chooser the click opens
+                const triggerLocator = this.getLocatorCode(action.trigger, action.framePath, pageVar);
+                code += `  const fileChooserPromise${index} = ${pageVar}.waitForEvent('filechooser');\n`;
+                code += `  await ${triggerLocator}.click();\n`;
+                code += `  const fileChooser${index} = await fileChooserPromise${index};\n`;
+                code += `  await fileChooser${index}.setFiles([${paths}]);\n`;
+            } else {
+                code += `  await ${locator}.setInputFiles([${paths}]);\n`;
+            }
+            return code;
+        }
+
+        /**
+         * Wrap the last step of an action so the page it opens is awaited alongside it
+         * @param {string} actionCode - Generated code of the opening action
+         * @param {string} newPage - Variable for the opened page
+         * @returns {string} Generated code lines
+         */
+        wrapNewPageCode(actionCode, newPage) {
+            const lines = actionCode.replace(/\n$/, '').split('\n');
+            const lastLine = lines[lines.length - 1];
+            const match = lastLine.match(/^  await (.+);$/);
+            
+            if (!match) {
+                return this.generatePopupWaitCode([newPage]) + actionCode + this.generateNewPageCode(null, newPage);
+            }
+            
+            lines[lines.length - 1] = this.generateNewPageCode(match[1], newPage).replace(/\n$/, '');
+            return lines.join('\n') + '\n';
+        }
+
+        /**
+         * Generate code that waits for a newly opened page
+         * @param {string|null} openingStep - Expression that opens the page, or null to await the
+         *   promise generatePopupWaitCode started before the page could open
+         * @param {string} newPage - Variable for the opened page
+         * @returns {string} Generated code lines
+         */
+        generateNewPageCode(openingStep, newPage) {
+            let code;
+            if (openingStep) {
+                code = `  const [${newPage}] = await Promise.all([\n`;
+                code += `    context.waitForEvent('page'),\n`;
+                code += `    ${openingStep}\n`;
+                code += `  ]);\n`;
+            } else {
+                code = `  const ${newPage} = await ${newPage}Promise;\n`;
+            }
+            code += `  await ${newPage}.waitForLoadState();\n`;
+            return code;
+        }
+
+        /**
+         * Get locator code for an element, scoped to the frames it was recorded in
+         * @param {ElementMetadata} element - Element metadata
+         * @param {FrameDescriptor[]} [framePath] - Frames containing the element
+         * @param {string} [pageVar] - Page variable the element is in
+         * @returns {string} Locator expression
+         */
+        getLocatorCode(element, framePath = [], pageVar = 'page') {
+            let scope = pageVar;
+            (framePath || []).forEach(frame => {
+                scope += `.frameLocator('${EnscribeUtils.escapeString(frame.selector)}')`;
+            });
+            
+            const candidate = this.getSelectorCandidate(element, true);
+            
+            // Locators of repeated components are chained from a stable ancestor
+            if (candidate && candidate.scope) {
+                const anchorCode = this.getAnchorLocatorCode(candidate.scope, scope);
+                return candidate.locator
+                    ? this.getUserFacingLocatorCode(candidate.locator, anchorCode)
+                    : `${anchorCode}.locator('${EnscribeUtils.escapeString(candidate.refines)}')`;
+            }
+            
+            if (candidate && candidate.locator) {
+                return this.getUserFacingLocatorCode(candidate.locator, scope);
+            }
+            
+            const filter = candidate && candidate.filter
+                ? `.filter({ hasText: '${EnscribeUtils.escapeString(candidate.filter.hasText)}' })`
+                : '';
+            return `${scope}.locator('${EnscribeUtils.escapeString(this.getElementSelector(element))}')${filter}`;
+        }
+
+        /**
+         * Choose the candidate an element is addressed by: the one pinned in the panel, else
+         * the first candidate in the site's strategy preference order that singled it out when
+         * recorded without relying on its position, else the first unique one, else the best
+         * CSS or XPath selector
+         * @param {ElementMetadata} element - Element metadata
+         * @param {boolean} allowLocators - Whether user-facing locators may be chosen
+         * @returns {SelectorCandidate|null} Candidate, or null for sessions recorded before selector generation
+         */
+        getSelectorCandidate(element, allowLocators) {
+            const ranked = element.selectors && element.selectors.ranked ? element.selectors.ranked : [];
+            const pinned = element.selectors ? element.selectors.pinned : null;
+            const testIdAttribute = this.stateManager.getState().sitePreferences.testIdAttribute;
+            
+            // Test-id selectors are plain CSS whenever getByTestId cannot be used for them
+            const usable = ranked.map(candidate => {
+                const locator = candidate.locator;
+                if (locator && locator.method === 'getByTestId' &&
+                    (!allowLocators || (locator.attribute || 'data-testid') !== testIdAttribute)) {
+                    const selector = { ...candidate };
+                    delete selector.locator;
+                    return selector;
+                }
+                return candidate;
+            }).filter(candidate => allowLocators || !candidate.locator);
+            const preferred = this.selectorGenerator.orderByPreference(usable);
+            
+            // A candidate pinned in the panel overrides the choice
+            return (pinned && usable.find(candidate => candidate.selector === pinned)) ||
+                preferred.find(candidate => candidate.matchCount === 1 && !candidate.positional) ||
+                preferred.find(candidate => candidate.matchCount === 1) ||
+                usable.find(candidate => !candidate.locator) ||
+                null;
+        }
+
+        /**
+         * Generate code for the stable ancestor a locator is chained from
+         * @param {{selector: string, locator: UserFacingLocator}} anchor - Anchor of the chained candidate
+         * @param {string} scope - Page or frame locator code the anchor is located in
+         * @returns {string} Locator code
+         */
+        getAnchorLocatorCode(anchor, scope) {
+            const locator = anchor.locator;
+            const testIdAttribute = this.stateManager.getState().sitePreferences.testIdAttribute;
+            if (locator && (locator.method !== 'getByTestId' || locator.attribute === testIdAttribute)) {
+                return this.getUserFacingLocatorCode(locator, scope);
+            }
+            return `${scope}.locator('${EnscribeUtils.escapeString(anchor.selector)}')`;
+        }
+
+        /**
+         * Generate code for a user-facing locator
+         * @param {UserFacingLocator} locator - Locator description
+         * @param {string} scope - Page or frame locator code the locator is called on
+         * @returns {string} Locator code
+         */
+        getUserFacingLocatorCode(locator, scope) {
+            const exactOption = locator.exact ? ', exact: true' : '';
+            let code;
+            
+            if (locator.method === 'getByRole') {
+                const options = locator.name
+                    ? `, { name: '${EnscribeUtils.escapeString(locator.name)}'${exactOption} }`
+                    : '';
+                code = `${scope}.getByRole('${EnscribeUtils.escapeString(locator.role)}'${options})`;
+            } else {
+                const options = locator.exact ? ', { exact: true }' : '';
+                code = `${scope}.${locator.method}('${EnscribeUtils.escapeString(locator.text)}'${options})`;
+            }
+            
+            // Refinements that narrow a locator matching several elements
+            if (locator.hasText) {
+                code += `.filter({ hasText: '${EnscribeUtils.escapeString(locator.hasText)}' })`;
+            }
+            if (locator.nth !== undefined) {
+                code += `.nth(${locator.nth})`;
+            }
+            return code;
+        }
+
+        /**
+         * Get the selector used to address an element in generated code
+         * @param {ElementMetadata} element - Element metadata
+         * @returns {string} Selector
+         */
+        getElementSelector(element) {
+            const hosts = element.shadowHosts || [];
+            
+            // Playwright CSS pierces open shadow roots, so shadow DOM elements are
+            // addressed by their host chain followed by their own selector
+            if (hosts.length > 0) {
+                const hostSelector = hosts.map(host => host.selector).join(' ');
+                const ownSelector = this.getOwnSelector(element) || element.tagName;
+                return /^(text|role|xpath)=/.test(ownSelector)
+                    ? `${hostSelector} >> ${ownSelector}`
+                    : `${hostSelector} ${ownSelector}`;
+            }
+            return this.getOwnSelector(element) || element.xpath;
+        }
+
+        /**
+         * Get a selector for an element without regard to its shadow hosts
+         * @param {ElementMetadata} element - Element metadata
+         * @returns {string|null} Selector, or null when only a structural path would do
+         */
+        getOwnSelector(element) {
+            // The generator's most reliable selector; user-facing ones are only used as locators
+            const candidate = this.getSelectorCandidate(element, false);
+            if (candidate) {
+                // Text filters are applied to the locator rather than written into the selector
+                return candidate.filter ? candidate.refines : candidate.selector;
+            }
+            
+            // Sessions recorded before selector generation: ID > data-testid > class > text,
+            // skipping generated IDs and classes
+            const stableClass = (element.className || '').split(' ')
+                .find(name => name && this.selectorGenerator.isStableToken(name));
+            if (element.id && this.selectorGenerator.isStableToken(element.id)) {
+                return `#${element.id}`;
+            } else if (element.attributes && element.attributes['data-testid']) {
+                return `[data-testid="${element.attributes['data-testid']}"]`;
+            } else if (stableClass) {
+                return `.${stableClass}`;
+            } else if (element.textContent) {
+                return `text="${element.textContent.substring(0, 30)}"`;
+            }
+            return null;
+        }
+
         /**
          * Show export dialog with generated code
          */
         showExportDialog(code) {
             const dialog = document.createElement('div');
+            dialog.className = 'enscriber-dialog';
             dialog.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -3908,6 +9968,7 @@
          */
         showSettings() {
             const dialog = document.createElement('div');
+            dialog.className = 'enscriber-dialog';
             dialog.style.cssText = `
                 position: fixed;
                 top: 0;
@@ -3927,10 +9988,20 @@
                 border-radius: 8px;
                 padding: 20px;
                 width: 400px;
+                max-height: 90vh;
+                overflow: auto;
                 box-shadow: 0 10px 40px rgba(0, 0, 0, 0.2);
             `;
             
             const state = this.stateManager.getState();
+            const strategyNames = { testid: 'Test id', role: 'Role', label: 'Label', text: 'Text', css: 'CSS', xpath: 'XPath' };
+            const strategyItems = state.sitePreferences.strategyOrder.map(strategy => `
+                <li data-strategy="${strategy}" style="display: flex; align-items: center; padding: 3px 0;">
+                    <span style="flex: 1;">${strategyNames[strategy]}</span>
+                    <button type="button" class="move-strategy" data-direction="-1" style="border: 1px solid #ddd; background: #f7fafc; border-radius: 4px; cursor: pointer; margin-left: 4px;">▲</button>
+                    <button type="button" class="move-strategy" data-direction="1" style="border: 1px solid #ddd; background: #f7fafc; border-radius: 4px; cursor: pointer; margin-left: 4px;">▼</button>
+                </li>
+            `).join('');
             content.innerHTML = `
                 <h3 style="margin: 0 0 20px 0; color: #333;">Enscriber Settings</h3>
                 <div style="margin-bottom: 15px;">
@@ -3951,6 +10022,53 @@
                         Show element tooltips
                     </label>
                 </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Hover dwell time (ms):</label>
+                    <input type="number" id="hover-dwell-time" min="0" step="100" value="${state.settings.hoverDwellTime}" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box;">
+                    <div style="font-size: 12px; color: #718096; margin-top: 4px;">
+                        Hovers this long that reveal the next element are recorded. 0 turns hover recording off.
+                    </div>
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Export pastes as:</label>
+                    <select id="clipboard-export-style" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                        <option value="fill" ${state.settings.clipboardExportStyle === 'fill' ? 'selected' : ''}>Fill with the pasted text</option>
+                        <option value="clipboard" ${state.settings.clipboardExportStyle === 'clipboard' ? 'selected' : ''}>Write clipboard and press Control+V</option>
+                    </select>
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Export click positions as:</label>
+                    <select id="click-position-unit" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px;">
+                        <option value="pixels" ${state.settings.clickPositionUnit === 'pixels' ? 'selected' : ''}>Pixels</option>
+                        <option value="percent" ${state.settings.clickPositionUnit === 'percent' ? 'selected' : ''}>Percentage of element size</option>
+                    </select>
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Always stable IDs and classes:</label>
+                    <textarea id="stable-token-patterns" rows="2" placeholder="^checkout-" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; font-family: monospace;"></textarea>
+                    <label style="display: block; margin: 10px 0 5px 0; font-weight: 500;">Always unstable IDs and classes:</label>
+                    <textarea id="unstable-token-patterns" rows="2" placeholder="^tmp-" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; font-family: monospace;"></textarea>
+                    <div style="font-size: 12px; color: #718096; margin-top: 4px;">
+                        One regular expression per line. Generated IDs and classes are never used as the main selector.
+                    </div>
+                    <div id="token-pattern-error" style="display: none; font-size: 12px; color: #dc2626; margin-top: 4px;"></div>
+                </div>
+                <h4 style="margin: 20px 0 10px 0; color: #333;">Selectors on ${window.location.origin}</h4>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Test-id attributes, in priority order:</label>
+                    <textarea id="test-id-attributes" rows="3" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; font-family: monospace;"></textarea>
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">testIdAttribute in playwright.config:</label>
+                    <input type="text" id="test-id-attribute" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; font-family: monospace;">
+                    <div style="font-size: 12px; color: #718096; margin-top: 4px;">
+                        getByTestId is only generated for this attribute. Other test ids are located with CSS.
+                    </div>
+                </div>
+                <div style="margin-bottom: 15px;">
+                    <label style="display: block; margin-bottom: 5px; font-weight: 500;">Selector strategy preference:</label>
+                    <ol id="strategy-order" style="margin: 0; padding-left: 20px;">${strategyItems}</ol>
+                </div>
                 <div style="margin-bottom: 20px;">
                     <label style="display: block; margin-bottom: 5px; font-weight: 500;">Recording Mode:</label>
                     <select id="recording-mode" style="width: 100%; padding: 5px; border: 1px solid #ddd; border-radius: 4px;">
@@ -3979,19 +10097,71 @@
                 </div>
             `;
             
+            // Patterns are set as values so that characters like < are not parsed as markup
+            content.querySelector('#stable-token-patterns').value = state.settings.stableTokenPatterns.join('\n');
+            content.querySelector('#unstable-token-patterns').value = state.settings.unstableTokenPatterns.join('\n');
+            content.querySelector('#test-id-attributes').value = state.sitePreferences.testIdAttributes.join('\n');
+            content.querySelector('#test-id-attribute').value = state.sitePreferences.testIdAttribute;
+            
+            // Strategies are reordered by moving them up and down the list
+            const strategyList = content.querySelector('#strategy-order');
+            strategyList.addEventListener('click', (e) => {
+                const button = e.target.closest('.move-strategy');
+                if (!button) return;
+                
+                const item = button.closest('li');
+                if (button.dataset.direction === '-1' && item.previousElementSibling) {
+                    strategyList.insertBefore(item, item.previousElementSibling);
+                } else if (button.dataset.direction === '1' && item.nextElementSibling) {
+                    strategyList.insertBefore(item.nextElementSibling, item);
+                }
+            });
+            
             dialog.appendChild(content);
             document.body.appendChild(dialog);
             
             // Add event listeners
             content.querySelector('#save-settings').addEventListener('click', () => {
+                // Patterns are compiled for every ID and class checked, so invalid ones are never saved
+                const stableTokenPatterns = this.getTextAreaLines(content.querySelector('#stable-token-patterns').value);
+                const unstableTokenPatterns = this.getTextAreaLines(content.querySelector('#unstable-token-patterns').value);
+                const invalidPatterns = [...stableTokenPatterns, ...unstableTokenPatterns].filter(source => {
+                    try {
+                        new RegExp(source);
+                        return false;
+                    } catch (error) {
+                        return true;
+                    }
+                });
+                const patternError = content.querySelector('#token-pattern-error');
+                if (invalidPatterns.length > 0) {
+                    patternError.textContent = `Not a valid regular expression: ${invalidPatterns.join(', ')}`;
+                    patternError.style.display = 'block';
+                    return;
+                }
+                
                 const newSettings = {
+                    ...state.settings,
                     autoSave: content.querySelector('#auto-save').checked,
                     highlightElements: content.querySelector('#highlight-elements').checked,
                     showTooltips: content.querySelector('#show-tooltips').checked,
-                    recordingMode: content.querySelector('#recording-mode').value
+                    recordingMode: content.querySelector('#recording-mode').value,
+                    hoverDwellTime: Math.max(0, parseInt(content.querySelector('#hover-dwell-time').value, 10) || 0),
+                    clipboardExportStyle: content.querySelector('#clipboard-export-style').value,
+                    clickPositionUnit: content.querySelector('#click-position-unit').value,
+                    stableTokenPatterns: stableTokenPatterns,
+                    unstableTokenPatterns: unstableTokenPatterns
                 };
                 
                 this.stateManager.setState({ settings: newSettings });
+                
+                const testIdAttributes = this.getTextAreaLines(content.querySelector('#test-id-attributes').value);
+                this.stateManager.saveSitePreferences({
+                    testIdAttributes: testIdAttributes.length > 0 ? testIdAttributes : [...ENSCRIBER_CONFIG.selectors.testIdAttributes],
+                    strategyOrder: Array.from(strategyList.children).map(item => item.dataset.strategy),
+                    testIdAttribute: content.querySelector('#test-id-attribute').value.trim() || 'data-testid'
+                });
+                
                 document.body.removeChild(dialog);
                 alert('Settings saved!');
             });
@@ -4007,6 +10177,15 @@
             });
         }
 
+        /**
+         * Split a settings text area into one entry per non-empty line
+         * @param {string} value - Text area value
+         * @returns {string[]} Patterns
+         */
+        getTextAreaLines(value) {
+            return value.split('\n').map(line => line.trim()).filter(line => line);
+        }
+
         /**
          * Clean up resources
          */
@@ -4041,6 +10220,14 @@
                 return;
             }
 
+            // Frames report to the top page instead of showing their own panel
+            if (window.top !== window) {
+                const agent = new FrameAgent();
+                agent.initialize();
+                window.enscriber = agent;
+                return;
+            }
+
             // Create and initialize core
             const core = new EnscribeCore();
             await core.initialize();